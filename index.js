@@ -2,14 +2,226 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import {
+  CallToolRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourcesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs/promises';
 import path from 'path';
 import sharp from 'sharp';
+import { createBackend } from './src/backends/index.js';
+import { CLIPBOARD_FORMATS, readClipboard, writeClipboard } from './src/clipboard.js';
+import { captureSequence, captureWhenStable, prepareCapture } from './src/capture.js';
+import { clipRegion, formatRect, validateRegion } from './src/geometry.js';
+import { diffImages, renderDiff } from './src/diff.js';
+import { ANNOTATION_TYPES, annotateImage, validateAnnotations } from './src/annotate.js';
+import { ErrorCode, SnapItError, toolError } from './src/errors.js';
+import { ClipboardHistory, HISTORY_URI, entryContents, entryUri, historyOptionsFromEnv, summarizeEntry } from './src/history.js';
+import {
+  DEFAULT_MAX_BYTES,
+  DEFAULT_MAX_DIMENSION,
+  IMAGE_FORMATS,
+  buildContactSheet,
+  describeImage,
+  encodeAnimation,
+  processImage
+} from './src/image.js';
+import { MOUSE_BUTTONS, assertInputAllowed, inputAllowListFromEnv, parseChord } from './src/input.js';
+import { numberMonitors } from './src/monitors.js';
+import { recognizeText } from './src/ocr.js';
+import { Redactor, describeRedactions, redactionOptionsFromEnv } from './src/redact.js';
+import { ensureDirectory, getPathOptions, toWindowsPath, toWslPath } from './src/paths.js';
+import {
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_ELEMENTS,
+  MAX_DEPTH_LIMIT,
+  MAX_ELEMENTS_LIMIT,
+  buildUiTree,
+  findElement,
+  uiTreeAnnotations,
+  validateWalkLimits
+} from './src/uitree.js';
+import { WINDOW_ACTIONS, filterWindows, selectWindow, validateWindowBounds, windowSelector } from './src/windows.js';
 
-const execAsync = promisify(exec);
+const backend = createBackend();
+const historyOptions = historyOptionsFromEnv();
+const redactor = new Redactor(backend, redactionOptionsFromEnv() ?? {});
+const inputAllowList = inputAllowListFromEnv();
+
+const MAX_SEQUENCE_FRAMES = 60;
+const ALL_WINDOWS_LAYOUTS = ['composite', 'separate'];
+const DEFAULT_SETTLE_MS = 500;
+// Enough for a dialog to open; anything slower is returned mid-change
+const MAX_SETTLE_WAIT_MS = 5000;
+// Walked to find a click's element; deeper than get_ui_tree's default
+const ELEMENT_SEARCH_LIMIT = 1000;
+
+// Full-resolution PNG of the latest take_screenshot, for write_clipboard
+let lastScreenshot = null;
+
+// Targeting options shared by every tool that captures the screen
+const CAPTURE_TARGET_PROPERTIES = {
+  monitor: {
+    type: ['string', 'number'],
+    description: 'Which monitor to capture: "all" (default), "primary", a monitor number (1, 2, etc. as numbered by list_monitors) or a device name (e.g. "\\\\.\\DISPLAY2" or "DISPLAY2")',
+    default: 'all'
+  },
+  windowTitle: {
+    type: 'string',
+    description: 'Capture a specific window by its title (partial match supported). If multiple windows match, you\'ll get a list to choose from.'
+  },
+  windowIndex: {
+    type: 'number',
+    description: 'When multiple windows match the title, specify which one to capture (1 for first, 2 for second, etc.). Default: 1',
+    default: 1,
+    minimum: 1
+  },
+  processName: {
+    type: 'string',
+    description: 'Capture a specific window by process name (e.g., "notepad.exe" or just "notepad")'
+  },
+  window: {
+    type: 'object',
+    description: 'Pick the window with a selector instead of windowTitle/processName. Every field given must match, e.g. { "processName": "winword", "titleRegex": "^Report .* - Word$", "excludeTitle": "Draft" }. Matches are ordered by process name, PID and handle.',
+    properties: {
+      title: { type: 'string', description: 'Title contains this text (case-insensitive)' },
+      titleExact: { type: 'string', description: 'Title is exactly this' },
+      titleRegex: { type: 'string', description: 'Title matches this JavaScript regular expression (case-insensitive)' },
+      excludeTitle: {
+        type: ['string', 'array'],
+        items: { type: 'string' },
+        description: 'Skip windows whose title contains this text (or any of these)'
+      },
+      processName: { type: 'string', description: 'Process name, exactly (with or without ".exe")' },
+      processPath: { type: 'string', description: 'Full Windows path of the process executable (case-insensitive)' },
+      className: { type: 'string', description: 'Win32 window class name, exactly (e.g. "Notepad", "Chrome_WidgetWin_1")' },
+      pid: { type: 'integer', description: 'Process ID' }
+    },
+    additionalProperties: false
+  },
+  region: {
+    type: 'object',
+    description: 'Capture only this rectangle. Relative to the matched window or monitor when one is targeted, otherwise in virtual-screen coordinates. Clipped to the target\'s bounds.',
+    properties: {
+      x: { type: 'integer' },
+      y: { type: 'integer' },
+      width: { type: 'integer', minimum: 1 },
+      height: { type: 'integer', minimum: 1 }
+    },
+    required: ['x', 'y', 'width', 'height'],
+    additionalProperties: false
+  },
+  captureMethod: {
+    type: 'string',
+    description: 'How to capture a window: "foreground" (default) brings it to the front and copies it from the screen; "background" renders it with PrintWindow without activating it, so overlapping windows don\'t get in the way, and falls back to "foreground" if that fails',
+    enum: ['foreground', 'background'],
+    default: 'foreground'
+  },
+  clientAreaOnly: {
+    type: 'boolean',
+    description: 'Capture only the window\'s client area, without title bar, menu frame and borders',
+    default: false
+  },
+  includeShadow: {
+    type: 'boolean',
+    description: 'Capture the whole window rectangle, including the invisible resize borders and drop shadow (filled with whatever is behind the window). By default only the visible frame is captured.',
+    default: false
+  }
+};
+
+// Output options shared by every tool that returns an image inline
+const IMAGE_OUTPUT_PROPERTIES = {
+  imageFormat: {
+    type: 'string',
+    description: 'Image format for the returned image: "jpeg" (default), "png" (lossless, downscaled if needed) or "webp"',
+    enum: IMAGE_FORMATS,
+    default: 'jpeg'
+  },
+  maxBytes: {
+    type: 'integer',
+    description: `Size budget for the returned image in bytes. Quality, then resolution, is reduced until it fits. Default: ${DEFAULT_MAX_BYTES}`,
+    default: DEFAULT_MAX_BYTES,
+    minimum: 1
+  },
+  maxDimension: {
+    type: 'integer',
+    description: `Longest side of the returned image in pixels before further downscaling. Default: ${DEFAULT_MAX_DIMENSION}`,
+    default: DEFAULT_MAX_DIMENSION,
+    minimum: 16
+  },
+  preserveText: {
+    type: 'boolean',
+    description: 'Prefer lossless PNG/WebP so UI text stays sharp, falling back to lossy encoding only if nothing lossless fits maxBytes',
+    default: false
+  }
+};
+
+// Window position and/or size in screen pixels; omitted fields stay as they are
+const WINDOW_BOUNDS_PROPERTY = {
+  type: 'object',
+  properties: {
+    x: { type: 'integer' },
+    y: { type: 'integer' },
+    width: { type: 'integer', minimum: 1 },
+    height: { type: 'integer', minimum: 1 }
+  },
+  additionalProperties: false
+};
+
+// Shared by the tools that send input
+const INPUT_TARGET_PROPERTIES = {
+  windowTitle: CAPTURE_TARGET_PROPERTIES.windowTitle,
+  windowIndex: CAPTURE_TARGET_PROPERTIES.windowIndex,
+  processName: CAPTURE_TARGET_PROPERTIES.processName,
+  window: CAPTURE_TARGET_PROPERTIES.window,
+  captureAfter: {
+    type: 'boolean',
+    description: 'Return a screenshot of the window once it has stopped changing after the input',
+    default: false
+  },
+  settleMs: {
+    type: 'integer',
+    description: `With captureAfter, how long the window must look unchanged before it is captured. Default: ${DEFAULT_SETTLE_MS}`,
+    default: DEFAULT_SETTLE_MS,
+    minimum: 0
+  }
+};
+
+// OCR options shared by every tool that can return the text in an image
+const TEXT_EXTRACTION_PROPERTIES = {
+  extractText: {
+    type: 'boolean',
+    description: 'Also recognize the text in the image with the Windows OCR engine (runs locally, offline) and return it with word bounding boxes in pixels of the full-resolution image',
+    default: false
+  },
+  ocrLanguage: {
+    type: 'string',
+    description: 'OCR language as a BCP-47 tag (e.g. "en-US", "de-DE"); its Windows language pack must be installed. Default: the user\'s display languages'
+  },
+  includeImage: {
+    type: 'boolean',
+    description: 'With extractText, set to false to return only the text and skip the image, which is much smaller when the picture itself isn\'t needed',
+    default: true
+  }
+};
+
+// Markup drawn onto an image, in the pixel coordinates of the full-resolution capture
+const ANNOTATIONS_PROPERTY = {
+  type: 'array',
+  description: 'Markup to draw, in pixels of the full-resolution capture (before any downscaling). Each item has a type: "rect" {x, y, width, height, color?, strokeWidth?, fill?}, "arrow" {from: {x, y}, to: {x, y}, color?, strokeWidth?}, "callout" {x, y, number?, color?, radius?} (a numbered circle, numbered in order when number is omitted), "text" {x, y, text, color?, background?, fontSize?}, "blur" {x, y, width, height, radius?} or "pixelate" {x, y, width, height, blockSize?}. Colors are CSS colors; default red.',
+  items: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ANNOTATION_TYPES }
+    },
+    required: ['type']
+  }
+};
 
 const server = new Server(
   {
@@ -19,6 +231,8 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      // Clipboard history is opt-in, and so are the resources that expose it
+      ...(historyOptions && { resources: { subscribe: true, listChanged: true } }),
     },
   }
 );
@@ -34,58 +248,419 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             filename: {
               type: 'string',
-              description: 'Filename for the screenshot (default: screenshot.png). Ignored when returnDirect is true.',
+              description: 'Filename for the screenshot (default: screenshot.png). Ignored when returnDirect is true unless saveCopy is set.',
               default: 'screenshot.png'
             },
-            monitor: {
-              type: ['string', 'number'],
-              description: 'Which monitor to capture: "all" (default), "primary", or monitor number (1, 2, etc.)',
-              default: 'all'
+            ...CAPTURE_TARGET_PROPERTIES,
+            waitFor: {
+              type: 'object',
+              description: 'Wait before capturing: for the target window to appear, and/or for the captured area to stop changing',
+              properties: {
+                windowTimeoutMs: {
+                  type: 'integer',
+                  description: 'Keep polling for a window matching window/windowTitle/processName for up to this long instead of failing immediately',
+                  minimum: 0
+                },
+                stableForMs: {
+                  type: 'integer',
+                  description: 'Only return once the captured area has looked the same for this long',
+                  minimum: 0
+                },
+                timeoutMs: {
+                  type: 'integer',
+                  description: 'Give up waiting for stability after this long and return the latest capture. Default: 10000',
+                  default: 10000,
+                  minimum: 0
+                },
+                pollIntervalMs: {
+                  type: 'integer',
+                  description: 'Time between polls. Default: 250',
+                  default: 250,
+                  minimum: 10
+                }
+              },
+              additionalProperties: false
             },
-            windowTitle: {
-              type: 'string',
-              description: 'Capture a specific window by its title (partial match supported). If multiple windows match, you\'ll get a list to choose from.'
+            resizeTo: {
+              ...WINDOW_BOUNDS_PROPERTY,
+              description: 'Move and/or resize the target window before capturing (e.g. { width: 1280, height: 800 }), so captures of the same app come out at a consistent size. Restores the window if it is minimized or maximized. Needs window, windowTitle or processName.'
             },
-            windowIndex: {
-              type: 'number',
-              description: 'When multiple windows match the title, specify which one to capture (1 for first, 2 for second, etc.). Default: 1',
-              default: 1,
-              minimum: 1
-            },
-            processName: {
+            allWindows: {
               type: 'string',
-              description: 'Capture a specific window by process name (e.g., "notepad.exe" or just "notepad")'
+              description: 'Capture every visible window of the target\'s process, including dialogs, popups and menus, instead of one window: "composite" pastes them into one image at their screen positions, "separate" returns one image per window labelled with its title. All matches are taken unless windowIndex is given. Not combinable with region or resizeTo.',
+              enum: ALL_WINDOWS_LAYOUTS
             },
             folder: {
               type: 'string',
-              description: 'Custom folder path to save the screenshot (supports both WSL and Windows paths). Ignored when returnDirect is true.'
+              description: 'Custom folder path to save the screenshot (supports both WSL and Windows paths). Ignored when returnDirect is true unless saveCopy is set.'
             },
             returnDirect: {
               type: 'boolean',
-              description: 'If true, returns the image directly to Claude without saving to disk. Large images will be automatically resized and compressed to fit within 1MB limit.',
+              description: 'If true, returns the image directly to Claude without saving to disk (see saveCopy to do both). Large images will be automatically resized and compressed to fit within 1MB limit.',
               default: true
             },
+            saveCopy: {
+              type: 'boolean',
+              description: 'With returnDirect, also save the full-resolution PNG to folder/filename and report its WSL and Windows paths alongside the inline preview.',
+              default: false
+            },
             quality: {
               type: 'number',
-              description: 'JPEG quality (1-100). Only applies when returnDirect is true. Default: 80. Will be automatically reduced if needed.',
+              description: 'JPEG/WebP quality (1-100). Only applies when returnDirect is true. Default: 80. Will be automatically reduced if needed.',
               default: 80,
               minimum: 1,
               maximum: 100
-            }
+            },
+            annotations: ANNOTATIONS_PROPERTY,
+            ...TEXT_EXTRACTION_PROPERTIES,
+            ...IMAGE_OUTPUT_PROPERTIES
           }
         }
       },
+      {
+        name: 'capture_sequence',
+        description: 'Capture several frames of a monitor, window or region at a fixed interval, returned as a contact sheet, filmstrip or animated GIF/WebP. Useful for animations, spinners and UI transitions.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...CAPTURE_TARGET_PROPERTIES,
+            frames: {
+              type: 'integer',
+              description: `Number of frames to capture (2-${MAX_SEQUENCE_FRAMES}). Default: 5. Ignored when durationMs is set.`,
+              default: 5,
+              minimum: 2,
+              maximum: MAX_SEQUENCE_FRAMES
+            },
+            intervalMs: {
+              type: 'integer',
+              description: 'Time between the start of consecutive frames in milliseconds. Frames that take longer to capture push later ones back. Default: 500',
+              default: 500,
+              minimum: 0
+            },
+            durationMs: {
+              type: 'integer',
+              description: 'Capture for this long instead of a fixed frame count: one frame every intervalMs, including both ends',
+              minimum: 1
+            },
+            output: {
+              type: 'string',
+              description: '"contactSheet" (grid, default), "strip" (one row), "gif" or "webp" (animated)',
+              enum: ['contactSheet', 'strip', 'gif', 'webp'],
+              default: 'contactSheet'
+            },
+            columns: {
+              type: 'integer',
+              description: 'Columns in the contact sheet. Default: roughly square',
+              minimum: 1
+            },
+            ...IMAGE_OUTPUT_PROPERTIES
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'diff_screenshots',
+        description: 'Compare a saved baseline screenshot with a second saved image or a live capture of the same target. Returns the changed-pixel percentage, changed-region bounding boxes and an annotated image highlighting what changed.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            baseline: {
+              type: 'string',
+              description: 'Path to the baseline PNG (WSL or Windows path), e.g. one saved by take_screenshot with returnDirect: false or saveCopy: true'
+            },
+            current: {
+              type: 'string',
+              description: 'Path to the image to compare against the baseline. When omitted, the target described by monitor/window/windowTitle/processName/region is captured live.'
+            },
+            threshold: {
+              type: 'number',
+              description: 'Perceptual color distance (0-1) a pixel must exceed to count as changed. 0 flags any change. Default: 0.1',
+              default: 0.1,
+              minimum: 0,
+              maximum: 1
+            },
+            ignoreRegions: {
+              type: 'array',
+              description: 'Rectangles in image coordinates to leave out of the comparison (clocks, cursors, animations)',
+              items: CAPTURE_TARGET_PROPERTIES.region
+            },
+            ...CAPTURE_TARGET_PROPERTIES,
+            ...IMAGE_OUTPUT_PROPERTIES
+          },
+          required: ['baseline'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'annotate_image',
+        description: 'Draw rectangles, arrows, numbered callouts, text labels and blur/pixelate boxes onto a saved image or the last screenshot, to point things out or hide them.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            imagePath: {
+              type: 'string',
+              description: 'Image to annotate, as a WSL or Windows path'
+            },
+            lastScreenshot: {
+              type: 'boolean',
+              description: 'Annotate the full-resolution image of the last take_screenshot call instead of a file'
+            },
+            annotations: ANNOTATIONS_PROPERTY,
+            folder: {
+              type: 'string',
+              description: 'Folder to save the annotated full-resolution PNG to when filename is given (WSL or Windows path). Default: ./screenshots'
+            },
+            filename: {
+              type: 'string',
+              description: 'Also save the annotated full-resolution PNG under this name'
+            },
+            ...IMAGE_OUTPUT_PROPERTIES
+          },
+          required: ['annotations'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'ocr_image',
+        description: 'Recognize the text in a saved image or the last screenshot with the Windows OCR engine (runs locally, offline). Returns the text line by line plus word bounding boxes, without the image unless includeImage is set.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            imagePath: {
+              type: 'string',
+              description: 'Image to read, as a WSL or Windows path'
+            },
+            lastScreenshot: {
+              type: 'boolean',
+              description: 'Read the full-resolution image of the last take_screenshot call instead of a file'
+            },
+            region: {
+              type: 'object',
+              description: 'Only read this rectangle of the image, in its pixels. Word boxes stay in the coordinates of the whole image.',
+              properties: {
+                x: { type: 'integer' },
+                y: { type: 'integer' },
+                width: { type: 'integer', minimum: 1 },
+                height: { type: 'integer', minimum: 1 }
+              },
+              required: ['x', 'y', 'width', 'height'],
+              additionalProperties: false
+            },
+            ocrLanguage: TEXT_EXTRACTION_PROPERTIES.ocrLanguage,
+            includeImage: {
+              type: 'boolean',
+              description: 'Also return the image that was read',
+              default: false
+            },
+            ...IMAGE_OUTPUT_PROPERTIES
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'list_windows',
+        description: 'List visible top-level Windows windows as JSON (handle, title, class name, process, executable path, PID, bounds, monitor, minimized/maximized state, z-order) so a capture target can be chosen deterministically. Windows are ordered by process name, PID and handle, the order windowIndex counts in.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            windowTitle: {
+              type: 'string',
+              description: 'Only include windows whose title contains this text (case-insensitive)'
+            },
+            processName: {
+              type: 'string',
+              description: 'Only include windows of this process (e.g., "notepad.exe" or just "notepad")'
+            },
+            window: {
+              ...CAPTURE_TARGET_PROPERTIES.window,
+              description: 'Only include windows matching this selector (the same fields take_screenshot accepts)'
+            }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'manage_window',
+        description: 'Restore, maximize, move/resize, bring to front or send to back a window picked by title or process, as take_screenshot does. Reports where the window ended up.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            windowTitle: CAPTURE_TARGET_PROPERTIES.windowTitle,
+            windowIndex: CAPTURE_TARGET_PROPERTIES.windowIndex,
+            processName: CAPTURE_TARGET_PROPERTIES.processName,
+            window: CAPTURE_TARGET_PROPERTIES.window,
+            action: {
+              type: 'string',
+              description: 'restore (from minimized or maximized), maximize, setBounds (move and/or resize to bounds), bringToFront or sendToBack',
+              enum: WINDOW_ACTIONS
+            },
+            bounds: {
+              ...WINDOW_BOUNDS_PROPERTY,
+              description: 'For setBounds: the new position and/or size of the visible window frame (as captured) in screen pixels. Omitted fields keep their current value.'
+            }
+          },
+          required: ['action'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'click',
+        description: 'Click inside a window picked by title or process, as take_screenshot does: at window-relative pixel coordinates or on a UI Automation element. Only windows of processes in WSLSNAPIT_INPUT_ALLOW can receive input.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...INPUT_TARGET_PROPERTIES,
+            x: {
+              type: 'integer',
+              description: 'Horizontal position in pixels from the left edge of the window\'s visible frame, as in a window capture'
+            },
+            y: {
+              type: 'integer',
+              description: 'Vertical position in pixels from the top edge of the window\'s visible frame'
+            },
+            element: {
+              type: 'object',
+              description: 'Click the center of the first visible UI element with these properties (as reported by get_ui_tree) instead of at x/y',
+              properties: {
+                automationId: { type: 'string' },
+                name: { type: 'string' },
+                controlType: { type: 'string' }
+              },
+              minProperties: 1,
+              additionalProperties: false
+            },
+            button: {
+              type: 'string',
+              enum: MOUSE_BUTTONS,
+              default: 'left'
+            },
+            doubleClick: {
+              type: 'boolean',
+              default: false
+            },
+            ...IMAGE_OUTPUT_PROPERTIES
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'send_input',
+        description: 'Type text and/or press key chords (e.g. "ctrl+s", "alt+f4", "enter") in a window picked by title or process. The window is brought to the front first. Only windows of processes in WSLSNAPIT_INPUT_ALLOW can receive input.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...INPUT_TARGET_PROPERTIES,
+            text: {
+              type: 'string',
+              description: 'Text to type, character by character (independent of the keyboard layout). Newlines press Enter.'
+            },
+            keys: {
+              type: 'array',
+              description: 'Key chords to press after the text, in order: keys joined with "+", e.g. ["ctrl+a", "delete"]. Keys are letters, digits, f1-f24, ctrl, shift, alt, win, enter, tab, esc, space, backspace, delete, insert, home, end, pageup, pagedown, up, down, left, right',
+              items: { type: 'string' }
+            },
+            ...IMAGE_OUTPUT_PROPERTIES
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_ui_tree',
+        description: 'Dump the Windows UI Automation element tree of a window (control type, name, automation id, bounds, enabled/focused state, value), to see what can be clicked or typed into. Optionally overlays the element boxes, numbered by id, on a screenshot of the window.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            windowTitle: CAPTURE_TARGET_PROPERTIES.windowTitle,
+            windowIndex: CAPTURE_TARGET_PROPERTIES.windowIndex,
+            processName: CAPTURE_TARGET_PROPERTIES.processName,
+            window: CAPTURE_TARGET_PROPERTIES.window,
+            maxDepth: {
+              type: 'integer',
+              description: `How many levels below the window to walk. Default: ${DEFAULT_MAX_DEPTH}`,
+              default: DEFAULT_MAX_DEPTH,
+              minimum: 0,
+              maximum: MAX_DEPTH_LIMIT
+            },
+            maxElements: {
+              type: 'integer',
+              description: `Stop walking after this many elements; the result says when it was cut short. Default: ${DEFAULT_MAX_ELEMENTS}`,
+              default: DEFAULT_MAX_ELEMENTS,
+              minimum: 1,
+              maximum: MAX_ELEMENTS_LIMIT
+            },
+            controlTypes: {
+              type: 'array',
+              description: 'Only return elements of these control types (e.g. ["Button", "Edit", "CheckBox"]), plus the ancestors that lead to them',
+              items: { type: 'string' }
+            },
+            nameContains: {
+              type: 'string',
+              description: 'Only return elements whose name contains this text (case-insensitive), plus their ancestors'
+            },
+            includeOffscreen: {
+              type: 'boolean',
+              description: 'Also return elements that are scrolled out of view or hidden',
+              default: false
+            },
+            overlay: {
+              type: 'boolean',
+              description: 'Also return a screenshot of the window with each returned element boxed and labelled with its id',
+              default: false
+            },
+            captureMethod: CAPTURE_TARGET_PROPERTIES.captureMethod,
+            ...IMAGE_OUTPUT_PROPERTIES
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'list_monitors',
+        description: 'List connected displays as JSON with the index take_screenshot uses for them, device name, bounds, working area, primary flag and effective DPI scale',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          additionalProperties: false
+        }
+      },
       {
         name: 'read_clipboard',
-        description: 'Read the current Windows clipboard content (text or image)',
+        description: 'Read the current Windows clipboard content: text, image, HTML, RTF, CSV or a copied file list. The response lists every readable format on the clipboard.',
         inputSchema: {
           type: 'object',
           properties: {
             format: {
               type: 'string',
-              description: 'Format to read from clipboard (auto=detect best format, text=force text, image=force image)',
-              enum: ['auto', 'text', 'image'],
+              description: 'Format to read (auto=best available: image, then files, text, html, rtf, csv; formats=only list the formats on the clipboard; html=the HTML fragment copied from a browser or Office; files=files copied in Explorer, with WSL paths)',
+              enum: CLIPBOARD_FORMATS,
               default: 'auto'
+            },
+            ...TEXT_EXTRACTION_PROPERTIES,
+            ...IMAGE_OUTPUT_PROPERTIES
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'write_clipboard',
+        description: 'Put text, HTML or an image on the Windows clipboard so it can be pasted into Windows applications. Give exactly one of text, html, imagePath or lastScreenshot (text may accompany html as its plain-text version).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            text: {
+              type: 'string',
+              description: 'Plain text to copy'
+            },
+            html: {
+              type: 'string',
+              description: 'HTML fragment to copy, pasted with formatting by browsers and Office. A plain-text version is derived unless text is also given.'
+            },
+            imagePath: {
+              type: 'string',
+              description: 'Image file to copy, as a WSL or Windows path (PNG, JPEG, WebP, ...)'
+            },
+            lastScreenshot: {
+              type: 'boolean',
+              description: 'Copy the full-resolution image of the last take_screenshot call'
             }
           },
           additionalProperties: false
@@ -95,8 +670,136 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
   };
 });
 
+// Write the full-resolution PNG capture to disk and report where it went
+async function saveScreenshot(pngBuffer, { folder, filename }) {
+  const pathOptions = await getPathOptions();
+  
+  // Default screenshots folder, or the custom folder given as a WSL or Windows path
+  const directory = await ensureDirectory(folder || path.join(process.cwd(), 'screenshots'), pathOptions);
+  
+  const wslPath = path.posix.join(directory.wslPath, filename);
+  await fs.writeFile(wslPath, pngBuffer);
+  await fs.access(wslPath);
+  
+  const windowsPath = directory.windowsPath && toWindowsPath(wslPath, pathOptions);
+  const windowsStyleFolder = folder && /^([a-zA-Z]:|\\\\)/.test(folder);
+  
+  return {
+    // Show the custom folder in the style the user gave it, or the relative default path
+    displayPath: folder ? ((windowsStyleFolder && windowsPath) || wslPath) : `screenshots/${filename}`,
+    wslPath,
+    windowsPath
+  };
+}
+
+function describeSavedFile(saved) {
+  let description = `Screenshot saved successfully to: ${saved.displayPath}\nWSL path: ${saved.wslPath}`;
+  if (saved.windowsPath) {
+    description += `\nWindows path: ${saved.windowsPath}`;
+  }
+  return description;
+}
+
+// Reads an image file (WSL or Windows path) as PNG, redacted: screenshots are
+// redacted when captured, but files from elsewhere aren't
+async function readImageFile(imagePath, pathOptions) {
+  const file = await fs.readFile(toWslPath(imagePath, pathOptions ?? await getPathOptions()));
+  return redactor.redactImage(await sharp(file).png().toBuffer());
+}
+
+// Resolves the window an input tool targets and checks it may receive input
+async function prepareInputTarget({ windowTitle, windowIndex, windowIndexProvided, processName, window }) {
+  if (!windowSelector({ windowTitle, processName, window })) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Give window, windowTitle or processName to pick the window');
+  }
+  const target = await prepareCapture(backend, { windowTitle, windowIndex, windowIndexProvided, processName, window, redactor });
+  assertInputAllowed(target.window, inputAllowList);
+  return target;
+}
+
+// Element names and values would give away what redaction hides in the pixels
+function assertUiTreeAllowed(window) {
+  if (redactor.isProtected(window.processName)) {
+    throw new SnapItError(
+      ErrorCode.WINDOW_PROTECTED,
+      `"${window.title}" belongs to ${window.processName}, whose windows are redacted`,
+      { handle: window.handle, processName: window.processName }
+    );
+  }
+}
+
+// Content for an input tool: what was done and, with captureAfter, the
+// window once it has stopped changing
+async function inputResult(target, statusText, { captureAfter, settleMs, imageOptions }) {
+  if (!captureAfter) {
+    return { content: [{ type: 'text', text: statusText }] };
+  }
+  
+  const captured = await captureWhenStable(target, { stableForMs: settleMs, timeoutMs: MAX_SETTLE_WAIT_MS });
+  const image = await processImage(captured.pngBuffer, imageOptions);
+  const settleNote = captured.stable
+    ? ` - Settled after ${captured.waitedMs}ms`
+    : ` - Still changing after ${captured.waitedMs}ms, returning the latest capture`;
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `${statusText}\nCaptured afterwards ${describeImage(image)}${captured.note}${describeRedactions(captured.redactions)}${settleNote}`
+      },
+      {
+        type: 'image',
+        data: image.buffer.toString('base64'),
+        mimeType: image.mimeType
+      }
+    ]
+  };
+}
+
+// One labelled image per window of an allWindows capture, sharing the size
+// budget so the whole response stays within it
+async function separateWindowsContent({ parts }, { imageOptions, regionNote }) {
+  const maxBytes = Math.floor((imageOptions.maxBytes ?? DEFAULT_MAX_BYTES) / parts.length);
+  const content = [{ type: 'text', text: `Captured each window separately${regionNote}` }];
+  
+  for (const [i, part] of parts.entries()) {
+    const image = await processImage(part.pngBuffer, { ...imageOptions, maxBytes });
+    const { title, className } = part.window;
+    content.push(
+      {
+        type: 'text',
+        text: `Window ${i + 1} of ${parts.length}: "${title || '(untitled)'}"${className ? ` [${className}]` : ''}, ${formatRect(part.rect)} ${describeImage(image)}${describeRedactions(part.redactions)}`
+      },
+      {
+        type: 'image',
+        data: image.buffer.toString('base64'),
+        mimeType: image.mimeType
+      }
+    );
+  }
+  return content;
+}
+
+// Recognized text as content items: the text itself, then the word boxes as
+// compact JSON (they can run to thousands of words)
+function recognizedTextContent({ language, width, height, lines }, note = '') {
+  const text = lines.map(line => line.text).join('\n');
+  return [
+    {
+      type: 'text',
+      text: lines.length > 0
+        ? `Recognized text (${lines.length} line(s), ${language ?? 'unknown language'})${note}:\n\n${text}`
+        : `No text recognized${note}`
+    },
+    {
+      type: 'text',
+      text: JSON.stringify({ language, width, height, lines })
+    }
+  ];
+}
+
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+  const { name, arguments: args = {} } = request.params;
   
   if (name === 'take_screenshot') {
     const { 
@@ -105,531 +808,105 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       windowTitle, 
       windowIndex = 1,
       processName,
+      window,
+      region,
+      captureMethod,
+      clientAreaOnly,
+      includeShadow,
+      waitFor = {},
+      resizeTo,
+      allWindows,
       folder,
       returnDirect = true,
-      quality = 80
+      saveCopy = false,
+      quality = 80,
+      annotations = [],
+      extractText = false,
+      ocrLanguage,
+      includeImage = true,
+      imageFormat,
+      maxBytes,
+      maxDimension,
+      preserveText
     } = args;
+    const imageOptions = { format: imageFormat, quality, maxBytes, maxDimension, preserveText };
     
     // Check if windowIndex was explicitly provided (not just the default)
     const windowIndexProvided = args.hasOwnProperty('windowIndex');
     
-    // Determine where to save the screenshot
-    let screenshotsDir;
-    let customFolder = false;
-    
-    if (folder) {
-      // Convert WSL path to Windows path if needed
-      let windowsFolder = folder;
-      if (folder.startsWith('/mnt/')) {
-        // Convert /mnt/c/... to C:\...
-        const driveLetter = folder.charAt(5).toUpperCase();
-        windowsFolder = driveLetter + ':\\' + folder.slice(7).replace(/\//g, '\\');
-      } else if (folder.startsWith('/')) {
-        // Handle other absolute paths - assume they're in the WSL home
-        const wslHome = process.env.HOME || '/home/user';
-        const resolvedPath = path.resolve(folder);
-        // Convert to Windows path
-        windowsFolder = resolvedPath.replace(/^\/mnt\/([a-z])\//i, (match, drive) => {
-          return drive.toUpperCase() + ':\\';
-        }).replace(/\//g, '\\');
-      } else if (!folder.includes(':\\')) {
-        // Relative path - resolve it relative to current directory
-        const resolvedPath = path.resolve(folder);
-        windowsFolder = resolvedPath.replace(/^\/mnt\/([a-z])\//i, (match, drive) => {
-          return drive.toUpperCase() + ':\\';
-        }).replace(/\//g, '\\');
-      }
-      
-      screenshotsDir = folder; // Keep original for display
-      customFolder = windowsFolder;
-    } else {
-      // Default screenshots folder
-      screenshotsDir = path.join(process.cwd(), 'screenshots');
-      await fs.mkdir(screenshotsDir, { recursive: true });
-    }
-    
-    const windowsPath = customFolder || 
-      path.join(process.cwd(), 'screenshots', filename)
-        .replace(/^\/mnt\/([a-z])\//i, (match, drive) => drive.toUpperCase() + ':\\')
-        .replace(/\//g, '\\');
-    
     try {
-      let psScript;
-      
-      // Simplified PowerShell that just captures and returns PNG base64
-      // Build capture code without template literals to avoid nesting issues
-      const windowsPathEscaped = windowsPath.replace(/\\/g, '\\\\');
-      const captureCode = returnDirect ? 
-          '# Return as PNG base64 for Node.js processing\n' +
-          '          $ms = New-Object System.IO.MemoryStream\n' +
-          '          $bitmap.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)\n' +
-          '          $base64 = [Convert]::ToBase64String($ms.ToArray())\n' +
-          '          Write-Output "BASE64:$base64"\n' +
-          '          $ms.Dispose()\n' +
-          '          $bitmap.Dispose()' : 
-          '# Save to file\n' +
-          '          $bitmap.Save(\'' + windowsPathEscaped + '\', [System.Drawing.Imaging.ImageFormat]::Png)\n' +
-          '          $bitmap.Dispose()\n' +
-          '          $graphics.Dispose()';
-      
-      if (windowTitle || processName) {
-        // Convert boolean to PowerShell boolean string
-        const psWindowIndexProvided = windowIndexProvided ? '$true' : '$false';
-        
-        // Escape variables to prevent injection
-        const escapedWindowTitle = (windowTitle || '').replace(/"/g, '""');
-        const escapedProcessName = (processName || '').replace(/"/g, '""');
-        
-        // Build PowerShell script using string concatenation to avoid template literal nesting
-        const psScriptBase = `
-          try {
-          $ErrorActionPreference = 'Stop'
-          Add-Type -AssemblyName System.Drawing
-          Add-Type @"
-            using System;
-            using System.Runtime.InteropServices;
-            using System.Drawing;
-            
-            public class Win32 {
-              [DllImport("user32.dll")]
-              public static extern bool SetProcessDPIAware();
-              
-              [DllImport("user32.dll")]
-              public static extern IntPtr FindWindow(string lpClassName, string lpWindowName);
-              
-              [DllImport("user32.dll")]
-              public static extern bool GetWindowRect(IntPtr hWnd, out RECT lpRect);
-              
-              [DllImport("user32.dll")]
-              public static extern bool SetForegroundWindow(IntPtr hWnd);
-              
-              public struct RECT {
-                public int Left;
-                public int Top;
-                public int Right;
-                public int Bottom;
-              }
-            }
-"@
-          
-          # Enable per-monitor DPI awareness for accurate capture
-          Add-Type @"
-            using System.Runtime.InteropServices;
-            public class DPI {
-              [DllImport("shcore.dll")]
-              public static extern int SetProcessDpiAwareness(int value);
-            }
-"@
-          [DPI]::SetProcessDpiAwareness(2)
-          [Win32]::SetProcessDPIAware() # Fallback
-          
-          # Enhanced window search using EnumWindows for better performance and cleaner errors
-          Add-Type @"
-            using System;
-            using System.Collections.Generic;
-            using System.Diagnostics;
-            using System.Runtime.InteropServices;
-            using System.Text;
-            
-            public class WindowEnumerator {
-              [DllImport("user32.dll")]
-              public static extern bool EnumWindows(EnumWindowsProc enumProc, IntPtr lParam);
-              
-              [DllImport("user32.dll")]
-              public static extern int GetWindowText(IntPtr hWnd, StringBuilder lpString, int nMaxCount);
-              
-              [DllImport("user32.dll")]
-              public static extern bool IsWindowVisible(IntPtr hWnd);
-              
-              [DllImport("user32.dll")]
-              public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
-              
-              public delegate bool EnumWindowsProc(IntPtr hWnd, IntPtr lParam);
-              
-              public static List<WindowInfo> GetVisibleWindows() {
-                List<WindowInfo> windows = new List<WindowInfo>();
-                EnumWindows((hWnd, lParam) => {
-                  if (IsWindowVisible(hWnd)) {
-                    StringBuilder title = new StringBuilder(256);
-                    GetWindowText(hWnd, title, title.Capacity);
-                    if (title.Length > 0) {
-                      uint processId;
-                      GetWindowThreadProcessId(hWnd, out processId);
-                      try {
-                        Process process = Process.GetProcessById((int)processId);
-                        windows.Add(new WindowInfo {
-                          Handle = hWnd,
-                          Title = title.ToString(),
-                          ProcessName = process.ProcessName
-                        });
-                      } catch {
-                        // Skip if process no longer exists
-                      }
-                    }
-                  }
-                  return true;
-                }, IntPtr.Zero);
-                return windows;
-              }
-            }
-            
-            public class WindowInfo {
-              public IntPtr Handle;
-              public string Title;
-              public string ProcessName;
-            }
-"@
-          
-          # Get all visible windows
-          $allWindows = [WindowEnumerator]::GetVisibleWindows()
-          $hwnd = [IntPtr]::Zero
-          $foundWindow = $null
-          
-          # Search by title or process name`;
-        
-        let searchLogic = '';
-        if (windowTitle) {
-          searchLogic = `
-          if ("${escapedWindowTitle}" -ne "") {
-            $matchingWindows = @()
-            foreach ($win in $allWindows) {
-              if ($win.Title -like "*${escapedWindowTitle}*") {
-                $matchingWindows += $win
-              }
-            }
-            
-            if ($matchingWindows.Count -eq 0) {
-              [Console]::Error.WriteLine("WINDOW_NOT_FOUND:${escapedWindowTitle}")
-              exit 1
-            } elseif ($matchingWindows.Count -gt 1) {
-              # Multiple windows found - check if windowIndex was explicitly provided
-              $windowIndexProvided = ${psWindowIndexProvided}
-              $windowIndex = ${windowIndex}
-              if ($windowIndexProvided -eq $true -and $windowIndex -ge 1 -and $windowIndex -le $matchingWindows.Count) {
-                # Valid windowIndex explicitly provided, select that window
-                $foundWindow = $matchingWindows[$windowIndex - 1]
-                $hwnd = $foundWindow.Handle
-              } else {
-                # No windowIndex provided or invalid, show disambiguation list
-                $windowList = ""
-                for ($i = 0; $i -lt $matchingWindows.Count; $i++) {
-                  $win = $matchingWindows[$i]
-                  $windowList += "$(($i + 1)). $($win.Title) ($($win.ProcessName).exe)"
-                  if ($i -lt $matchingWindows.Count - 1) { $windowList += "\`n" }
-                }
-                $windowList += "\`n$(($matchingWindows.Count + 1)). Cancel capture"
-                [Console]::Error.WriteLine("MULTIPLE_WINDOWS_FOUND:${escapedWindowTitle}:$windowList")
-                exit 1
-              }
-            } else {
-              # Single window found
-              $foundWindow = $matchingWindows[0]
-              $hwnd = $foundWindow.Handle
-            }
-          }`;
-        } else if (processName) {
-          searchLogic = `
-          if ("${escapedProcessName}" -ne "") {
-            # Strip .exe if provided
-            $searchProcess = "${escapedProcessName}".Replace(".exe", "")
-            $matchingWindows = @()
-            foreach ($win in $allWindows) {
-              if ($win.ProcessName -like "*$searchProcess*") {
-                $matchingWindows += $win
-              }
-            }
-            
-            if ($matchingWindows.Count -eq 0) {
-              [Console]::Error.WriteLine("PROCESS_NOT_FOUND:${escapedProcessName}")
-              exit 1
-            } elseif ($matchingWindows.Count -gt 1) {
-              # Multiple windows found - check if windowIndex was explicitly provided
-              $windowIndexProvided = ${psWindowIndexProvided}
-              $windowIndex = ${windowIndex}
-              if ($windowIndexProvided -eq $true -and $windowIndex -ge 1 -and $windowIndex -le $matchingWindows.Count) {
-                # Valid windowIndex explicitly provided, select that window
-                $foundWindow = $matchingWindows[$windowIndex - 1]
-                $hwnd = $foundWindow.Handle
-              } else {
-                # No windowIndex provided or invalid, show disambiguation list
-                $windowList = ""
-                for ($i = 0; $i -lt $matchingWindows.Count; $i++) {
-                  $win = $matchingWindows[$i]
-                  $windowList += "$(($i + 1)). $($win.Title) ($($win.ProcessName).exe)"
-                  if ($i -lt $matchingWindows.Count - 1) { $windowList += "\`n" }
-                }
-                $windowList += "\`n$(($matchingWindows.Count + 1)). Cancel capture"
-                [Console]::Error.WriteLine("MULTIPLE_WINDOWS_FOUND:${escapedProcessName}:$windowList")
-                exit 1
-              }
-            } else {
-              # Single window found
-              $foundWindow = $matchingWindows[0]
-              $hwnd = $foundWindow.Handle
-            }
-          }`;
-        }
-        
-        const psScriptEnd = `
-          
-          # Get window rectangle
-          $rect = New-Object Win32+RECT
-          [Win32]::GetWindowRect($hwnd, [ref]$rect) | Out-Null
-          
-          $width = $rect.Right - $rect.Left
-          $height = $rect.Bottom - $rect.Top
-          
-          # Bring window to foreground and wait for it to fully render
-          [Win32]::SetForegroundWindow($hwnd) | Out-Null
-          Start-Sleep -Milliseconds 200
-          
-          # Capture the window with DPI awareness
-          $bitmap = New-Object System.Drawing.Bitmap $width, $height
-          $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
-          $graphics.CopyFromScreen($rect.Left, $rect.Top, 0, 0, $bitmap.Size)
-          
-          ${captureCode}
-          } catch {
-            Write-Output "ERROR: $_"
-            exit 1
-          }`;
-        
-        psScript = psScriptBase + searchLogic + psScriptEnd;
-      } else if (monitor === 'all') {
-        // Current behavior - capture all screens
-        psScript = `
-          try {
-          $ErrorActionPreference = 'Stop'
-          Add-Type -AssemblyName System.Windows.Forms
-          Add-Type -AssemblyName System.Drawing
-          # Enable per-monitor DPI awareness
-          Add-Type @"
-            using System.Runtime.InteropServices;
-            public class DPI {
-              [DllImport("shcore.dll")]
-              public static extern int SetProcessDpiAwareness(int value);
-            }
-"@
-          [DPI]::SetProcessDpiAwareness(2)
-          
-          $screen = [System.Windows.Forms.SystemInformation]::VirtualScreen
-          $bitmap = New-Object System.Drawing.Bitmap $screen.Width, $screen.Height
-          $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
-          $graphics.CopyFromScreen($screen.Left, $screen.Top, 0, 0, $bitmap.Size)
-          
-          ${captureCode}
-          } catch {
-            Write-Output "ERROR: $_"
-            exit 1
-          }
-        `;
-      } else {
-        // Capture specific monitor
-        psScript = `
-          try {
-          $ErrorActionPreference = 'Stop'
-          Add-Type -AssemblyName System.Windows.Forms
-          Add-Type -AssemblyName System.Drawing
-          
-          # Enable DPI awareness - MUST be per-monitor for multi-monitor setups with scaling
-          Add-Type @"
-            using System;
-            using System.Runtime.InteropServices;
-            public class DPIAware {
-              [DllImport("user32.dll")]
-              public static extern bool SetProcessDPIAware();
-              
-              [DllImport("shcore.dll")]
-              public static extern int SetProcessDpiAwareness(int value);
-            }
-"@
-          # Always use per-monitor DPI awareness (2) for accurate capture
-          [DPIAware]::SetProcessDpiAwareness(2)
-          
-          $screens = [System.Windows.Forms.Screen]::AllScreens
-          $targetScreen = $null
-          
-          # Sort by X position ascending (left to right) to match Windows display numbering
-          $sortedScreens = $screens | Sort-Object { $_.Bounds.X }
-          
-          
-          if ('${monitor}' -eq 'primary') {
-            $targetScreen = [System.Windows.Forms.Screen]::PrimaryScreen
-          } elseif ('${monitor}' -match '^\\d+$') {
-            $index = [int]'${monitor}' - 1
-            if ($index -ge 0 -and $index -lt $sortedScreens.Count) {
-              $targetScreen = $sortedScreens[$index]
-            } else {
-              throw "Monitor ${monitor} not found. Available monitors: 1 to $($sortedScreens.Count)"
-            }
-          }
-          
-          if ($targetScreen -eq $null) {
-            throw "Invalid monitor parameter: ${monitor}"
-          }
-          
-          $bounds = $targetScreen.Bounds
-          
-          $bitmap = New-Object System.Drawing.Bitmap($bounds.Width, $bounds.Height)
-          $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
-          # Use explicit coordinates for accurate capture
-          $graphics.CopyFromScreen($bounds.X, $bounds.Y, 0, 0, $bitmap.Size)
-          
-          ${captureCode}
-          } catch {
-            Write-Output "ERROR: $_"
-            exit 1
-          }
-        `;
+      validateAnnotations(annotations);
+      if (allWindows !== undefined && !ALL_WINDOWS_LAYOUTS.includes(allWindows)) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `allWindows must be one of: ${ALL_WINDOWS_LAYOUTS.join(', ')}`, { allWindows });
       }
-      
-      // Convert to base64 to avoid escaping issues
-      const encodedCommand = Buffer.from(psScript, 'utf16le').toString('base64');
-      
-      // Execute PowerShell with encoded command (suppress CLIXML output)
-      let stdout = '';
-      let stderr = '';
-      
-      try {
-        const result = await execAsync(
-          `powershell.exe -ExecutionPolicy Bypass -NoProfile -NonInteractive -OutputFormat Text -EncodedCommand ${encodedCommand}`,
-          { maxBuffer: 50 * 1024 * 1024 } // Increase buffer for large PNG images
+      if (allWindows === 'separate' && (annotations.length > 0 || extractText || !returnDirect || saveCopy)) {
+        throw new SnapItError(
+          ErrorCode.INVALID_ARGUMENT,
+          'allWindows "separate" returns each window inline; use "composite" to annotate, extract text or save to disk'
         );
-        stdout = result.stdout;
-        stderr = result.stderr;
-      } catch (error) {
-        // PowerShell failed, but we still want to check stdout for our custom error messages
-        stdout = error.stdout || '';
-        stderr = error.stderr || '';
-      }
-      
-      // Check for our custom error messages in both stdout and stderr
-      const combinedOutput = stdout + stderr;
-      
-      if (combinedOutput.includes('MULTIPLE_WINDOWS_FOUND:')) {
-        const match = combinedOutput.match(/MULTIPLE_WINDOWS_FOUND:([^:]+):([\s\S]+?)(?:DEBUG:|$)/);
-        if (match) {
-          const searchTerm = match[1].trim();
-          const rawWindowList = match[2].trim();
-          
-          
-          // Parse and reformat the window list to make it look like Claude Code's interactive prompts
-          // Filter out PowerShell XML output noise
-          const windowLines = rawWindowList.split('\n')
-            .filter(line => line.trim() && !line.includes('<Objs') && !line.includes('</Objs>') && !line.includes('<Obj') && !line.includes('</Obj>'))
-            .filter(line => line.trim());
-          const lastLine = windowLines[windowLines.length - 1];
-          const isLastLineCancel = lastLine.includes('Cancel capture');
-          
-          // Build formatted options list
-          let formattedOptions = '';
-          for (let i = 0; i < windowLines.length; i++) {
-            const line = windowLines[i].trim();
-            if (line) {
-              formattedOptions += `${line}\n`;
-            }
-          }
-          
-          // Create an interactive-looking prompt message that mimics Claude Code's style
-          const helpMessage = `Multiple windows found matching "${searchTerm}". Please choose an option:
-
-${formattedOptions}
-🔄 To select an option, retry the screenshot with windowIndex: 2 (for option 2)
-❌ To cancel, simply don't retry the tool call
-
-Example: \`windowIndex: 2\` to capture the second window`;
-          
-          throw new Error(helpMessage);
-        }
-      }
-      
-      if (combinedOutput.includes('WINDOW_NOT_FOUND:')) {
-        const searchTerm = combinedOutput.match(/WINDOW_NOT_FOUND:(.+)/)?.[1]?.trim() || '';
-        const helpMessage = `❌ No windows found with title containing "${searchTerm}"
-
-💡 Suggestions:
-  • Check the window's title bar for the exact text
-  • Try a shorter or different part of the title
-  • Use processName instead (e.g., 'notepad', 'chrome')`;
-        throw new Error(helpMessage);
       }
       
-      if (combinedOutput.includes('PROCESS_NOT_FOUND:')) {
-        const searchTerm = combinedOutput.match(/PROCESS_NOT_FOUND:(.+)/)?.[1]?.trim() || '';
-        const helpMessage = `❌ No visible windows found for process "${searchTerm}"
-
-💡 Suggestions:
-  • Make sure the application is running with visible windows
-  • Try capturing by windowTitle instead of processName
-  • Check if the process name is correct (without .exe extension)`;
-        throw new Error(helpMessage);
-      }
+      const { windowTimeoutMs = 0, stableForMs, timeoutMs, pollIntervalMs = 250 } = waitFor;
+      const target = await prepareCapture(backend, {
+        monitor,
+        windowTitle,
+        windowIndex,
+        windowIndexProvided,
+        processName,
+        window,
+        region,
+        captureMethod,
+        clientAreaOnly,
+        includeShadow,
+        windowTimeoutMs,
+        pollIntervalMs,
+        resizeTo,
+        allWindows: Boolean(allWindows),
+        redactor
+      });
       
-      // Check for direct return base64 data
-      if (returnDirect) {
-        if (!stdout.includes('BASE64:')) {
-          throw new Error('Failed to generate base64 output from PowerShell');
-        }
-        
-        // Extract base64 data
-        const base64Start = stdout.indexOf('BASE64:') + 7;
-        let base64Data = stdout.substring(base64Start).trim();
-        
-        // Remove any trailing PowerShell output or newlines
-        const errorIndex = base64Data.indexOf('ERROR:');
-        if (errorIndex > 0) {
-          base64Data = base64Data.substring(0, errorIndex).trim();
-        }
-        
-        // Process the PNG with sharp
-        const pngBuffer = Buffer.from(base64Data, 'base64');
-        
-        // Dynamic compression with sharp
-        const maxSizeBytes = 950 * 1024; // 950KB target
-        const metadata = await sharp(pngBuffer).metadata();
-        
-        let processedImage = sharp(pngBuffer);
-        let finalBuffer;
-        let finalQuality = quality;
-        let wasResized = false;
-        
-        // First, check if resize is needed based on width
-        if (metadata.width > 1920) {
-          processedImage = processedImage.resize({ width: 1920 });
-          wasResized = true;
-        }
-        
-        // Try with the requested quality first
-        finalBuffer = await processedImage.jpeg({ quality: finalQuality, mozjpeg: true }).toBuffer();
-        
-        // If still too large, progressively reduce quality
-        while (finalBuffer.length > maxSizeBytes && finalQuality > 20) {
-          finalQuality -= 10;
-          finalBuffer = await processedImage.jpeg({ quality: finalQuality, mozjpeg: true }).toBuffer();
-        }
-        
-        // If still too large after quality reduction, apply more aggressive resize
-        if (finalBuffer.length > maxSizeBytes) {
-          processedImage = sharp(pngBuffer).resize({ width: 1280 });
-          wasResized = true;
-          finalQuality = 60;
-          finalBuffer = await processedImage.jpeg({ quality: finalQuality, mozjpeg: true }).toBuffer();
-          
-          // Final attempt with even smaller size
-          if (finalBuffer.length > maxSizeBytes) {
-            processedImage = sharp(pngBuffer).resize({ width: 800 });
-            finalQuality = 50;
-            finalBuffer = await processedImage.jpeg({ quality: finalQuality, mozjpeg: true }).toBuffer();
-          }
+      let captured;
+      if (stableForMs) {
+        captured = await captureWhenStable(target, { stableForMs, timeoutMs, pollIntervalMs });
+      } else {
+        captured = await target.capture();
+      }
+      
+      const pngBuffer = await annotateImage(captured.pngBuffer, annotations);
+      lastScreenshot = pngBuffer;
+      let regionNote = captured.note + describeRedactions(captured.redactions);
+      if (annotations.length > 0) {
+        regionNote += ` - ${annotations.length} annotation(s) drawn`;
+      }
+      if (target.waitedMs > 0) {
+        regionNote += ` - Window appeared after ${target.waitedMs}ms`;
+      }
+      if (target.resized) {
+        regionNote += ` - Window moved/resized to ${formatRect(target.resized)}`;
+        if (['width', 'height'].some(key => resizeTo[key] !== undefined && resizeTo[key] !== target.resized[key])) {
+          regionNote += ' (the window limits its size)';
         }
-        
-        const compressedBase64 = finalBuffer.toString('base64');
-        const sizeInKB = Math.round(finalBuffer.length / 1024);
-        
-        let statusText = `Screenshot captured successfully (${sizeInKB}KB, JPEG quality: ${finalQuality}%)`;
-        if (wasResized) {
-          const finalMeta = await sharp(finalBuffer).metadata();
-          statusText += ` - Resized to ${finalMeta.width}px width`;
+      }
+      if (stableForMs) {
+        regionNote += captured.stable
+          ? ` - Stable for ${stableForMs}ms after ${captured.waitedMs}ms`
+          : ` - Still changing after ${captured.waitedMs}ms, returning the latest capture`;
+      }
+      
+      if (allWindows === 'separate') {
+        return { content: await separateWindowsContent(captured, { imageOptions, regionNote }) };
+      }
+      
+      // Save the lossless original when saving to disk, including alongside an inline preview
+      const saved = (!returnDirect || saveCopy) ? await saveScreenshot(pngBuffer, { folder, filename }) : null;
+      const recognized = extractText ? redactor.redactText(await recognizeText(backend, pngBuffer, { language: ocrLanguage })) : null;
+      const textContent = recognized ? recognizedTextContent(recognized) : [];
+      
+      if (returnDirect && (includeImage || !recognized)) {
+        const image = await processImage(pngBuffer, imageOptions);
+        let statusText = `Screenshot captured successfully ${describeImage(image)}${regionNote}`;
+        if (saved) {
+          statusText += `\n${describeSavedFile(saved)}`;
         }
         
         return {
@@ -640,251 +917,642 @@ Example: \`windowIndex: 2\` to capture the second window`;
             },
             {
               type: 'image',
-              data: compressedBase64,
-              mimeType: 'image/jpeg'
-            }
+              data: image.buffer.toString('base64'),
+              mimeType: image.mimeType
+            },
+            ...textContent
           ]
         };
       }
       
-      // Check for other PowerShell errors (fallback)
-      const hasRealError = stderr && (
-          stderr.includes('throw') ||
-          stderr.includes('Exception') ||
-          stderr.includes('ERROR:') ||
-          (stderr.includes('Error') && !stderr.includes('ErrorId'))
-      );
-          
-      if (hasRealError) {
-        // Extract clean error message
-        if (stderr.includes('ERROR:')) {
-          const errorMatch = stderr.match(/ERROR:\s*(.+)/);
-          if (errorMatch) {
-            throw new Error(errorMatch[1].trim());
-          }
-        }
-        // Fallback to generic error
-        throw new Error('Screenshot capture failed');
-      }
-      
-      // For file saving mode, verify file was created
-      if (!returnDirect) {
-        const outputPath = path.join(screenshotsDir, filename);
-        await fs.access(outputPath);
-        
-        // Generate appropriate success message based on folder used
-        let successPath;
-        if (customFolder) {
-          // Show the custom folder path as provided by the user
-          successPath = path.join(customFolder, filename).replace(/\\/g, '/');
-        } else {
-          // Show relative path for default screenshots folder
-          successPath = `screenshots/${filename}`;
+      if (returnDirect) {
+        let statusText = `Screenshot captured successfully (${recognized.width}x${recognized.height}, image not included)${regionNote}`;
+        if (saved) {
+          statusText += `\n${describeSavedFile(saved)}`;
         }
         
         return {
           content: [
             {
               type: 'text',
-              text: `Screenshot saved successfully to: ${successPath}`
-            }
+              text: statusText
+            },
+            ...textContent
           ]
         };
       }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${describeSavedFile(saved)}${regionNote}`
+          },
+          ...textContent
+        ]
+      };
     } catch (error) {
-      throw new Error(`Failed to take screenshot: ${error.message}`);
+      return toolError(error, 'take screenshot');
     }
   }
   
-  if (name === 'read_clipboard') {
-    const { format = 'auto' } = args;
+  if (name === 'capture_sequence') {
+    const {
+      monitor = 'all',
+      windowTitle,
+      windowIndex = 1,
+      processName,
+      window,
+      region,
+      captureMethod,
+      clientAreaOnly,
+      includeShadow,
+      intervalMs = 500,
+      durationMs,
+      output = 'contactSheet',
+      columns,
+      imageFormat,
+      maxBytes,
+      maxDimension,
+      preserveText
+    } = args;
+    const windowIndexProvided = args.hasOwnProperty('windowIndex');
+    const frames = durationMs ? Math.floor(durationMs / Math.max(intervalMs, 1)) + 1 : (args.frames ?? 5);
     
     try {
-      // PowerShell script for clipboard reading
-      let psScript = `
-        try {
-          $ErrorActionPreference = 'Stop'
-          Add-Type -AssemblyName System.Windows.Forms
-          Add-Type -AssemblyName System.Drawing
-          
-          # Check clipboard content based on format parameter
-          $format = '${format}'
-          $hasText = [System.Windows.Forms.Clipboard]::ContainsText()
-          $hasImage = [System.Windows.Forms.Clipboard]::ContainsImage()
-          
-          if ($format -eq 'auto') {
-            # Auto-detect: prefer image over text
-            if ($hasImage) {
-              $format = 'image'
-            } elseif ($hasText) {
-              $format = 'text'
-            } else {
-              Write-Output "EMPTY_CLIPBOARD"
-              exit 0
-            }
-          }
-          
-          if ($format -eq 'text') {
-            if (-not $hasText) {
-              Write-Output "NO_TEXT_IN_CLIPBOARD"
-              exit 0
-            }
-            $clipboardText = Get-Clipboard -Raw
-            if ($null -eq $clipboardText) {
-              Write-Output "EMPTY_CLIPBOARD"
-              exit 0
-            }
-            # Output text with a marker for parsing
-            Write-Output "TEXT_CONTENT:$clipboardText"
+      if (!Number.isInteger(frames) || frames < 2 || frames > MAX_SEQUENCE_FRAMES) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `A sequence needs between 2 and ${MAX_SEQUENCE_FRAMES} frames (got ${frames})`);
+      }
+      
+      const target = await prepareCapture(backend, {
+        monitor,
+        windowTitle,
+        windowIndex,
+        windowIndexProvided,
+        processName,
+        window,
+        region,
+        captureMethod,
+        clientAreaOnly,
+        includeShadow,
+        redactor
+      });
+      const captured = await captureSequence(target, { frames, intervalMs });
+      const frameBuffers = captured.map(frame => frame.pngBuffer);
+      const offsets = captured.map(frame => `${frame.offsetMs}ms`).join(', ');
+      const redactedFrames = captured.filter(frame => frame.redactions.length > 0).length;
+      const redactionNote = redactedFrames > 0 ? ` - Redacted in ${redactedFrames} of ${frames} frames` : '';
+      
+      let image;
+      let summary;
+      if (output === 'gif' || output === 'webp') {
+        // Each frame is shown for as long as it took to reach the next one
+        const delays = captured.map((frame, i) => (captured[i + 1]?.offsetMs ?? frame.offsetMs + intervalMs) - frame.offsetMs);
+        image = await encodeAnimation(frameBuffers, { format: output, delays, maxBytes, maxDimension });
+        summary = `(${Math.round(image.buffer.length / 1024)}KB animated ${output.toUpperCase()}, ${image.width}x${image.height}${image.overBudget ? ', still over the size budget' : ''})`;
+      } else {
+        const sheet = await buildContactSheet(frameBuffers, {
+          columns: output === 'strip' ? frameBuffers.length : columns,
+          maxDimension
+        });
+        image = await processImage(sheet, { format: imageFormat, maxBytes, maxDimension, preserveText });
+        summary = describeImage(image);
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Captured ${frames} frames ${summary}${captured[0].note}${redactionNote}\nFrame offsets: ${offsets}`
+          },
+          {
+            type: 'image',
+            data: image.buffer.toString('base64'),
+            mimeType: image.mimeType
           }
-          elseif ($format -eq 'image') {
-            if (-not $hasImage) {
-              Write-Output "NO_IMAGE_IN_CLIPBOARD"
-              exit 0
-            }
-            
-            $image = [System.Windows.Forms.Clipboard]::GetImage()
-            if ($null -eq $image) {
-              Write-Output "NO_IMAGE_IN_CLIPBOARD"
-              exit 0
-            }
-            
-            # Convert image to PNG and base64
-            $ms = New-Object System.IO.MemoryStream
-            $image.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)
-            $base64 = [Convert]::ToBase64String($ms.ToArray())
-            Write-Output "BASE64:$base64"
-            $ms.Dispose()
-            $image.Dispose()
+        ]
+      };
+    } catch (error) {
+      return toolError(error, 'capture sequence');
+    }
+  }
+  
+  if (name === 'diff_screenshots') {
+    const {
+      baseline,
+      current,
+      threshold = 0.1,
+      ignoreRegions = [],
+      monitor = 'all',
+      windowTitle,
+      windowIndex = 1,
+      processName,
+      window,
+      region,
+      captureMethod,
+      clientAreaOnly,
+      includeShadow,
+      imageFormat,
+      maxBytes,
+      maxDimension,
+      preserveText
+    } = args;
+    const windowIndexProvided = args.hasOwnProperty('windowIndex');
+    
+    try {
+      ignoreRegions.forEach(validateRegion);
+      
+      const pathOptions = await getPathOptions();
+      const { pngBuffer: baselineBuffer } = await readImageFile(baseline, pathOptions);
+      
+      let currentBuffer;
+      let currentLabel;
+      let redactionNote = '';
+      if (current) {
+        const file = await readImageFile(current, pathOptions);
+        currentBuffer = file.pngBuffer;
+        currentLabel = current;
+        redactionNote = describeRedactions(file.redactions);
+      } else {
+        const target = await prepareCapture(backend, {
+          monitor,
+          windowTitle,
+          windowIndex,
+          windowIndexProvided,
+          processName,
+          window,
+          region,
+          captureMethod,
+          clientAreaOnly,
+          includeShadow,
+          redactor
+        });
+        const captured = await target.capture();
+        currentBuffer = captured.pngBuffer;
+        currentLabel = 'live capture';
+        redactionNote = describeRedactions(captured.redactions);
+      }
+      
+      const diff = await diffImages(baselineBuffer, currentBuffer, { threshold, ignoreRegions });
+      const annotated = await renderDiff(currentBuffer, diff, { ignoreRegions });
+      const image = await processImage(annotated, { format: imageFormat, maxBytes, maxDimension, preserveText });
+      
+      const summary = {
+        baseline,
+        current: currentLabel,
+        width: diff.width,
+        height: diff.height,
+        changedPixels: diff.changedPixels,
+        changedPercent: diff.changedPercent,
+        totalRegions: diff.totalRegions,
+        regions: diff.regions
+      };
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${diff.changedPixels === 0 ? 'No changes detected' : `${diff.changedPercent}% of pixels changed in ${diff.totalRegions} region(s)`} ${describeImage(image)}${redactionNote}\n\n${JSON.stringify(summary, null, 2)}`
+          },
+          {
+            type: 'image',
+            data: image.buffer.toString('base64'),
+            mimeType: image.mimeType
           }
-        } catch {
-          Write-Output "ERROR: $_"
-          exit 1
+        ]
+      };
+    } catch (error) {
+      return toolError(error, 'diff screenshots');
+    }
+  }
+  
+  if (name === 'annotate_image') {
+    const { imagePath, lastScreenshot: useLastScreenshot = false, annotations, folder, filename, imageFormat, maxBytes, maxDimension, preserveText } = args;
+    
+    try {
+      if ((imagePath !== undefined) === useLastScreenshot) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Give exactly one of imagePath or lastScreenshot');
+      }
+      validateAnnotations(annotations);
+      
+      let source;
+      let redactions = [];
+      if (useLastScreenshot) {
+        if (!lastScreenshot) {
+          throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'No screenshot has been taken yet');
         }
-      `;
+        source = lastScreenshot;
+      } else {
+        ({ pngBuffer: source, redactions } = await readImageFile(imagePath));
+      }
       
-      // Convert to base64 to avoid escaping issues
-      const encodedCommand = Buffer.from(psScript, 'utf16le').toString('base64');
+      const annotated = await annotateImage(source, annotations);
+      const saved = filename ? await saveScreenshot(annotated, { folder, filename }) : null;
+      const image = await processImage(annotated, { format: imageFormat, maxBytes, maxDimension, preserveText });
       
-      // Execute PowerShell
-      const { stdout, stderr } = await execAsync(
-        `powershell.exe -ExecutionPolicy Bypass -NoProfile -NonInteractive -OutputFormat Text -EncodedCommand ${encodedCommand}`,
-        { maxBuffer: 50 * 1024 * 1024 } // 50MB buffer for large images
-      );
+      let statusText = `Drew ${annotations.length} annotation(s) ${describeImage(image)}${describeRedactions(redactions)}`;
+      if (saved) {
+        statusText += `\n${describeSavedFile(saved)}`;
+      }
       
-      // Handle empty clipboard
-      if (stdout.includes('EMPTY_CLIPBOARD')) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: 'Clipboard is empty'
-            }
-          ]
-        };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: statusText
+          },
+          {
+            type: 'image',
+            data: image.buffer.toString('base64'),
+            mimeType: image.mimeType
+          }
+        ]
+      };
+    } catch (error) {
+      return toolError(error, 'annotate image');
+    }
+  }
+  
+  if (name === 'ocr_image') {
+    const { imagePath, lastScreenshot: useLastScreenshot = false, region, ocrLanguage, includeImage = false, imageFormat, maxBytes, maxDimension, preserveText } = args;
+    
+    try {
+      if ((imagePath !== undefined) === useLastScreenshot) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Give exactly one of imagePath or lastScreenshot');
       }
       
-      // Handle no text when text requested
-      if (stdout.includes('NO_TEXT_IN_CLIPBOARD')) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: 'No text content in clipboard (clipboard may contain an image or other format)'
-            }
-          ]
+      let source;
+      if (useLastScreenshot) {
+        if (!lastScreenshot) {
+          throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'No screenshot has been taken yet');
+        }
+        source = lastScreenshot;
+      } else {
+        ({ pngBuffer: source } = await readImageFile(imagePath));
+      }
+      
+      let pngBuffer = source;
+      let regionNote = '';
+      let recognized;
+      if (region) {
+        const { width, height } = await sharp(source).metadata();
+        const { rect, wasClipped } = clipRegion(region, { x: 0, y: 0, width, height });
+        pngBuffer = await sharp(source).extract({ left: rect.x, top: rect.y, width: rect.width, height: rect.height }).png().toBuffer();
+        regionNote = ` - Region ${formatRect(rect)}${wasClipped ? ' (clipped)' : ''}`;
+        
+        // Report boxes in the whole image's pixels
+        const { language, lines } = redactor.redactText(await recognizeText(backend, pngBuffer, { language: ocrLanguage }));
+        recognized = {
+          language,
+          width,
+          height,
+          lines: lines.map(line => ({ ...line, words: line.words.map(word => ({ ...word, x: word.x + rect.x, y: word.y + rect.y })) }))
         };
+      } else {
+        recognized = redactor.redactText(await recognizeText(backend, pngBuffer, { language: ocrLanguage }));
       }
       
-      // Handle no image when image requested
-      if (stdout.includes('NO_IMAGE_IN_CLIPBOARD')) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: 'No image content in clipboard (clipboard may contain text or other format)'
-            }
-          ]
+      const content = recognizedTextContent(recognized, regionNote);
+      
+      if (includeImage) {
+        const image = await processImage(pngBuffer, { format: imageFormat, maxBytes, maxDimension, preserveText });
+        content.push({
+          type: 'image',
+          data: image.buffer.toString('base64'),
+          mimeType: image.mimeType
+        });
+      }
+      
+      return { content };
+    } catch (error) {
+      return toolError(error, 'recognize text');
+    }
+  }
+  
+  if (name === 'list_windows') {
+    const { windowTitle, processName, window } = args;
+    
+    try {
+      const windows = filterWindows(await backend.listWindows(), { windowTitle, processName, window });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ count: windows.length, windows }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return toolError(error, 'list windows');
+    }
+  }
+  
+  if (name === 'manage_window') {
+    const { windowTitle, windowIndex = 1, processName, window: selector, action, bounds } = args;
+    const windowIndexProvided = args.hasOwnProperty('windowIndex');
+    
+    try {
+      if (!WINDOW_ACTIONS.includes(action)) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `action must be one of: ${WINDOW_ACTIONS.join(', ')}`, { action });
+      }
+      if (action === 'setBounds') {
+        validateWindowBounds(bounds);
+      }
+      
+      const window = selectWindow(await backend.listWindows(), { windowTitle, processName, window: selector, windowIndex, windowIndexProvided });
+      const state = await backend.manageWindow(window.handle, { action, bounds });
+      
+      const summary = {
+        handle: window.handle,
+        title: window.title,
+        processName: window.processName,
+        action,
+        before: { bounds: window.bounds, frameBounds: window.frameBounds, minimized: window.minimized, maximized: window.maximized },
+        after: state
+      };
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Applied ${action} to "${window.title}", now ${formatRect(state.frameBounds ?? state.bounds)}${state.minimized ? ', minimized' : ''}${state.maximized ? ', maximized' : ''}\n\n${JSON.stringify(summary, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      return toolError(error, 'manage window');
+    }
+  }
+  
+  if (name === 'click') {
+    const {
+      windowTitle,
+      windowIndex = 1,
+      processName,
+      window: selector,
+      x,
+      y,
+      element,
+      button = 'left',
+      doubleClick = false,
+      captureAfter = false,
+      settleMs = DEFAULT_SETTLE_MS,
+      imageFormat,
+      maxBytes,
+      maxDimension,
+      preserveText
+    } = args;
+    const windowIndexProvided = args.hasOwnProperty('windowIndex');
+    
+    try {
+      if ((element !== undefined) === (x !== undefined || y !== undefined)) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Give either x and y or element');
+      }
+      if (!element && (!Number.isInteger(x) || !Number.isInteger(y))) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'x and y must both be integers', { x, y });
+      }
+      if (!MOUSE_BUTTONS.includes(button)) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `button must be one of: ${MOUSE_BUTTONS.join(', ')}`, { button });
+      }
+      
+      const target = await prepareInputTarget({ windowTitle, windowIndex, windowIndexProvided, processName, window: selector });
+      const { window } = target;
+      // Click coordinates are relative to the visible frame, as window captures are
+      const frame = window.frameBounds ?? window.bounds;
+      
+      let point;
+      let clickedLabel;
+      if (element) {
+        assertUiTreeAllowed(window);
+        const { elements } = await backend.getUiTree(window.handle, { maxDepth: DEFAULT_MAX_DEPTH, maxElements: ELEMENT_SEARCH_LIMIT });
+        const found = findElement(elements, element);
+        if (!found) {
+          throw new SnapItError(ErrorCode.ELEMENT_NOT_FOUND, `No visible element in "${window.title}" matches ${JSON.stringify(element)}. Use get_ui_tree to see what is there.`, { element });
+        }
+        point = {
+          x: Math.round(found.bounds.x + found.bounds.width / 2 - frame.x),
+          y: Math.round(found.bounds.y + found.bounds.height / 2 - frame.y)
         };
+        clickedLabel = `${found.controlType} "${redactor.redactString(found.name)}" at (${point.x}, ${point.y})`;
+      } else {
+        if (x < 0 || y < 0 || x >= frame.width || y >= frame.height) {
+          throw new SnapItError(
+            ErrorCode.INVALID_ARGUMENT,
+            `(${x}, ${y}) lies outside the ${frame.width}x${frame.height} window`,
+            { x, y, bounds: frame }
+          );
+        }
+        point = { x, y };
+        clickedLabel = `at (${x}, ${y})`;
       }
       
-      // Handle text content
-      if (stdout.includes('TEXT_CONTENT:')) {
-        const textStart = stdout.indexOf('TEXT_CONTENT:') + 13;
-        const clipboardText = stdout.substring(textStart).trim();
-        
+      await backend.click(window.handle, { ...point, button, count: doubleClick ? 2 : 1 });
+      
+      const buttonLabel = button === 'left' ? '' : ` (${button} button)`;
+      const statusText = `${doubleClick ? 'Double-clicked' : 'Clicked'} ${clickedLabel} in "${window.title}"${buttonLabel}`;
+      return await inputResult(target, statusText, {
+        captureAfter,
+        settleMs,
+        imageOptions: { format: imageFormat, maxBytes, maxDimension, preserveText }
+      });
+    } catch (error) {
+      return toolError(error, 'click');
+    }
+  }
+  
+  if (name === 'send_input') {
+    const {
+      windowTitle,
+      windowIndex = 1,
+      processName,
+      window,
+      text = '',
+      keys = [],
+      captureAfter = false,
+      settleMs = DEFAULT_SETTLE_MS,
+      imageFormat,
+      maxBytes,
+      maxDimension,
+      preserveText
+    } = args;
+    const windowIndexProvided = args.hasOwnProperty('windowIndex');
+    
+    try {
+      if (typeof text !== 'string' || !Array.isArray(keys)) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'text must be a string and keys an array of chords');
+      }
+      if (text === '' && keys.length === 0) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Give text to type and/or keys to press');
+      }
+      // Parsed up front so a typo doesn't leave half the input sent
+      const chords = keys.map(parseChord);
+      
+      const target = await prepareInputTarget({ windowTitle, windowIndex, windowIndexProvided, processName, window });
+      await backend.sendInput(target.window.handle, { text, chords });
+      
+      const sent = [
+        ...(text ? [`typed ${text.length} character(s)`] : []),
+        ...(keys.length > 0 ? [`pressed ${keys.join(', ')}`] : [])
+      ];
+      const statusText = `In "${target.window.title}": ${sent.join(', then ')}`;
+      return await inputResult(target, statusText, {
+        captureAfter,
+        settleMs,
+        imageOptions: { format: imageFormat, maxBytes, maxDimension, preserveText }
+      });
+    } catch (error) {
+      return toolError(error, 'send input');
+    }
+  }
+  
+  if (name === 'get_ui_tree') {
+    const {
+      windowTitle,
+      windowIndex = 1,
+      processName,
+      window: selector,
+      maxDepth = DEFAULT_MAX_DEPTH,
+      maxElements = DEFAULT_MAX_ELEMENTS,
+      controlTypes = [],
+      nameContains,
+      includeOffscreen = false,
+      overlay = false,
+      captureMethod,
+      imageFormat,
+      maxBytes,
+      maxDimension,
+      preserveText
+    } = args;
+    const windowIndexProvided = args.hasOwnProperty('windowIndex');
+    
+    try {
+      if (!windowSelector({ windowTitle, processName, window: selector })) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Give window, windowTitle or processName to pick the window');
+      }
+      validateWalkLimits({ maxDepth, maxElements });
+      
+      const target = await prepareCapture(backend, { windowTitle, windowIndex, windowIndexProvided, processName, window: selector, captureMethod, redactor });
+      const { window } = target;
+      assertUiTreeAllowed(window);
+      
+      const walk = await backend.getUiTree(window.handle, { maxDepth, maxElements });
+      const elements = walk.elements.map(element => ({
+        ...element,
+        name: redactor.redactString(element.name),
+        value: redactor.redactString(element.value)
+      }));
+      const { tree, matches } = buildUiTree(elements, { controlTypes, nameContains, includeOffscreen });
+      
+      const filtered = controlTypes.length > 0 || nameContains || !includeOffscreen;
+      const summary = {
+        window: { handle: window.handle, title: window.title, processName: window.processName, bounds: window.bounds },
+        elementCount: elements.length,
+        matchCount: matches.length,
+        truncated: walk.truncated,
+        tree
+      };
+      let statusText = `UI tree of "${window.title}": ${elements.length} element(s) walked`;
+      if (filtered) {
+        statusText += `, ${matches.length} returned`;
+      }
+      if (walk.truncated) {
+        statusText += ` - Stopped at maxElements (${maxElements})`;
+      }
+      
+      let image = null;
+      if (overlay) {
+        const captured = await target.capture();
+        // The window itself would just frame the whole capture
+        const boxes = uiTreeAnnotations(matches.filter(element => element.parent !== 0), captured.bounds);
+        image = await processImage(await annotateImage(captured.pngBuffer, boxes), {
+          format: imageFormat,
+          maxBytes,
+          maxDimension,
+          preserveText
+        });
+        statusText += ` - Overlay ${describeImage(image)}${captured.note}${describeRedactions(captured.redactions)}`;
+      }
+      
+      const content = [
+        {
+          type: 'text',
+          // Compact: trees run to hundreds of elements
+          text: `${statusText}\n\n${JSON.stringify(summary)}`
+        }
+      ];
+      if (image) {
+        content.push({
+          type: 'image',
+          data: image.buffer.toString('base64'),
+          mimeType: image.mimeType
+        });
+      }
+      
+      return { content };
+    } catch (error) {
+      return toolError(error, 'get UI tree');
+    }
+  }
+  
+  if (name === 'list_monitors') {
+    try {
+      const monitors = numberMonitors(await backend.listMonitors());
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ count: monitors.length, monitors }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return toolError(error, 'list monitors');
+    }
+  }
+  
+  if (name === 'read_clipboard') {
+    const { format = 'auto', extractText = false, ocrLanguage, includeImage = true, imageFormat, maxBytes, maxDimension, preserveText } = args;
+    const imageOptions = { format: imageFormat, maxBytes, maxDimension, preserveText };
+    
+    try {
+      const clipboard = await readClipboard(backend, format, await getPathOptions());
+      const availableNote = `available: ${clipboard.available.join(', ') || 'none'}`;
+      
+      // Enumerate only
+      if (clipboard.format === 'formats') {
         return {
           content: [
             {
               type: 'text',
-              text: `Clipboard text content:\n\n${clipboardText}`
+              text: `Clipboard formats (${availableNote}):\n\n${JSON.stringify({ available: clipboard.available, formats: clipboard.formats }, null, 2)}`
             }
           ]
         };
       }
       
       // Handle image content
-      if (stdout.includes('BASE64:')) {
-        // Extract base64 data
-        const base64Start = stdout.indexOf('BASE64:') + 7;
-        let base64Data = stdout.substring(base64Start).trim();
-        
-        // Remove any trailing PowerShell output
-        const errorIndex = base64Data.indexOf('ERROR:');
-        if (errorIndex > 0) {
-          base64Data = base64Data.substring(0, errorIndex).trim();
-        }
-        
-        // Reuse the existing image compression pipeline from screenshot
-        const pngBuffer = Buffer.from(base64Data, 'base64');
-        
-        // Dynamic compression with sharp
-        const maxSizeBytes = 950 * 1024; // 950KB target
-        const metadata = await sharp(pngBuffer).metadata();
-        
-        let processedImage = sharp(pngBuffer);
-        let finalBuffer;
-        let finalQuality = 80; // Default quality
-        let wasResized = false;
-        
-        // First, check if resize is needed based on width
-        if (metadata.width > 1920) {
-          processedImage = processedImage.resize({ width: 1920 });
-          wasResized = true;
-        }
-        
-        // Try with the default quality first
-        finalBuffer = await processedImage.jpeg({ quality: finalQuality, mozjpeg: true }).toBuffer();
+      if (clipboard.format === 'image') {
+        const { ownerProcess } = redactor.enabled ? await backend.getClipboardInfo() : {};
+        const { pngBuffer, redactions } = await redactor.redactImage(clipboard.png, { sourceProcess: ownerProcess });
+        const recognized = extractText ? redactor.redactText(await recognizeText(backend, pngBuffer, { language: ocrLanguage })) : null;
+        const textContent = recognized ? recognizedTextContent(recognized) : [];
         
-        // If still too large, progressively reduce quality
-        while (finalBuffer.length > maxSizeBytes && finalQuality > 20) {
-          finalQuality -= 10;
-          finalBuffer = await processedImage.jpeg({ quality: finalQuality, mozjpeg: true }).toBuffer();
+        if (recognized && !includeImage) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Clipboard image retrieved successfully (${recognized.width}x${recognized.height}, image not included) - ${availableNote}${describeRedactions(redactions)}`
+              },
+              ...textContent
+            ]
+          };
         }
         
-        // If still too large after quality reduction, apply more aggressive resize
-        if (finalBuffer.length > maxSizeBytes) {
-          processedImage = sharp(pngBuffer).resize({ width: 1280 });
-          wasResized = true;
-          finalQuality = 60;
-          finalBuffer = await processedImage.jpeg({ quality: finalQuality, mozjpeg: true }).toBuffer();
-          
-          // Final attempt with even smaller size
-          if (finalBuffer.length > maxSizeBytes) {
-            processedImage = sharp(pngBuffer).resize({ width: 800 });
-            finalQuality = 50;
-            finalBuffer = await processedImage.jpeg({ quality: finalQuality, mozjpeg: true }).toBuffer();
-          }
-        }
-        
-        const compressedBase64 = finalBuffer.toString('base64');
-        const sizeInKB = Math.round(finalBuffer.length / 1024);
-        
-        let statusText = `Clipboard image retrieved successfully (${sizeInKB}KB, JPEG quality: ${finalQuality}%)`;
-        if (wasResized) {
-          const finalMeta = await sharp(finalBuffer).metadata();
-          statusText += ` - Resized to ${finalMeta.width}px width`;
-        }
+        const image = await processImage(pngBuffer, imageOptions);
+        const statusText = `Clipboard image retrieved successfully ${describeImage(image)} - ${availableNote}${describeRedactions(redactions)}`;
         
         return {
           content: [
@@ -894,32 +1562,188 @@ Example: \`windowIndex: 2\` to capture the second window`;
             },
             {
               type: 'image',
-              data: compressedBase64,
-              mimeType: 'image/jpeg'
+              data: image.buffer.toString('base64'),
+              mimeType: image.mimeType
+            },
+            ...textContent
+          ]
+        };
+      }
+      
+      let text;
+      if (clipboard.format === 'html') {
+        const source = clipboard.html.sourceUrl ? ` from ${clipboard.html.sourceUrl}` : '';
+        text = `Clipboard HTML fragment${source} (${availableNote}):\n\n${clipboard.html.fragment}`;
+      } else if (clipboard.format === 'files') {
+        text = `Clipboard file list, ${clipboard.files.length} file(s) (${availableNote}):\n\n${JSON.stringify(clipboard.files, null, 2)}`;
+      } else {
+        const label = { text: 'text', rtf: 'RTF', csv: 'CSV' }[clipboard.format];
+        text = `Clipboard ${label} content (${availableNote}):\n\n${clipboard[clipboard.format]}`;
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      return toolError(error, 'read clipboard');
+    }
+  }
+  
+  if (name === 'write_clipboard') {
+    const { text, html, imagePath, lastScreenshot: useLastScreenshot = false } = args;
+    
+    try {
+      const sources = [html !== undefined || text !== undefined, imagePath !== undefined, useLastScreenshot];
+      if (sources.filter(Boolean).length !== 1) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Give exactly one of text/html, imagePath or lastScreenshot');
+      }
+      
+      if (html !== undefined || text !== undefined) {
+        await writeClipboard(backend, { text, html });
+        const summary = html !== undefined
+          ? `HTML (${html.length} characters) with a plain-text version`
+          : `text (${text.length} characters)`;
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Copied ${summary} to the clipboard`
             }
           ]
         };
       }
       
-      // Handle errors
-      if (stdout.includes('ERROR:') || stderr) {
-        const errorMatch = stdout.match(/ERROR:\s*(.+)/);
-        const errorMessage = errorMatch ? errorMatch[1].trim() : stderr || 'Unknown error';
-        throw new Error(errorMessage);
+      let source;
+      if (useLastScreenshot) {
+        if (!lastScreenshot) {
+          throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'No screenshot has been taken yet');
+        }
+        source = lastScreenshot;
+      } else {
+        source = await fs.readFile(toWslPath(imagePath, await getPathOptions()));
       }
       
-      // Fallback
-      throw new Error('Unable to read clipboard content');
+      // Any format sharp reads goes on the clipboard as PNG
+      const { data: png, info } = await sharp(source).png().toBuffer({ resolveWithObject: true });
+      await writeClipboard(backend, { png });
       
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Copied ${info.width}x${info.height} image to the clipboard`
+          }
+        ]
+      };
     } catch (error) {
-      throw new Error(`Failed to read clipboard: ${error.message}`);
+      return toolError(error, 'write clipboard');
     }
   }
   
-  throw new Error(`Unknown tool: ${name}`);
+  return toolError(new SnapItError(ErrorCode.UNKNOWN_TOOL, `Unknown tool: ${name}`, { name }));
+});
+
+// Resource URIs clients asked to be told about
+const subscriptions = new Set();
+
+const history = historyOptions && new ClipboardHistory(backend, {
+  ...historyOptions,
+  pathOptions: await getPathOptions(),
+  redactor,
+  onChange() {
+    const report = error => console.error(`Failed to send clipboard history notification: ${error.message}`);
+    server.sendResourceListChanged().catch(report);
+    for (const uri of subscriptions) {
+      server.sendResourceUpdated({ uri }).catch(report);
+    }
+  }
 });
 
+if (history) {
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return {
+      resources: [
+        {
+          uri: HISTORY_URI,
+          name: 'Clipboard history',
+          description: 'Recent clipboard copies, newest first, with previews',
+          mimeType: 'application/json'
+        },
+        ...history.entries().map(entry => ({
+          uri: entryUri(entry),
+          name: `Clipboard copy ${entry.id} (${entry.format}, ${entry.copiedAt})`,
+          mimeType: entryContents(entry).mimeType
+        }))
+      ]
+    };
+  });
+  
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: [
+        {
+          uriTemplate: `${HISTORY_URI}/latest/{count}`,
+          name: 'Latest clipboard copies',
+          description: 'The full content of the last {count} copies, newest first'
+        }
+      ]
+    };
+  });
+  
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    
+    if (uri === HISTORY_URI) {
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify({ entries: history.entries().map(summarizeEntry) }, null, 2)
+          }
+        ]
+      };
+    }
+    
+    const latest = uri.match(/^clipboard:\/\/history\/latest\/(\d+)$/);
+    if (latest) {
+      return { contents: history.entries().slice(0, Number(latest[1])).map(entryContents) };
+    }
+    
+    const entry = uri.startsWith(`${HISTORY_URI}/`) && history.get(uri.slice(HISTORY_URI.length + 1));
+    if (!entry) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Unknown or expired resource: ${uri}`, { uri });
+    }
+    return { contents: [entryContents(entry)] };
+  });
+  
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+  
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+}
+
 const transport = new StdioServerTransport();
+// The PowerShell worker and the history timer would keep Node running after
+// the client goes away, leaving this process and powershell.exe behind
+server.onclose = () => {
+  history?.stop();
+  backend.close();
+};
+process.stdin.on('end', () => server.close());
 await server.connect(transport);
 
+// Start watching only once notifications can be delivered
+await history?.start();
+
 console.error('WSLSnapIt MCP server running...');
@@ -0,0 +1,166 @@
+import sharp from 'sharp';
+import { ErrorCode, SnapItError } from './errors.js';
+import { clipRegion } from './geometry.js';
+
+export const ANNOTATION_TYPES = ['rect', 'arrow', 'callout', 'text', 'blur', 'pixelate'];
+
+const DEFAULT_COLOR = '#ff0000';
+
+// Strokes and labels are drawn at full resolution and scaled with the image,
+// so grow them on large captures to keep them legible after downscaling
+function baseSize(width, height) {
+  return Math.max(1, Math.max(width, height) / 1280);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function requireNumbers(annotation, index, keys) {
+  for (const key of keys) {
+    const value = key.split('.').reduce((object, part) => object?.[part], annotation);
+    if (!Number.isFinite(value)) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `annotations[${index}].${key} must be a number`, { index, annotation });
+    }
+  }
+}
+
+function validateAnnotation(annotation, index) {
+  if (typeof annotation !== 'object' || annotation === null || !ANNOTATION_TYPES.includes(annotation.type)) {
+    throw new SnapItError(
+      ErrorCode.INVALID_ARGUMENT,
+      `annotations[${index}].type must be one of: ${ANNOTATION_TYPES.join(', ')}`,
+      { index, annotation }
+    );
+  }
+  switch (annotation.type) {
+    case 'arrow':
+      requireNumbers(annotation, index, ['from.x', 'from.y', 'to.x', 'to.y']);
+      break;
+    case 'callout':
+      requireNumbers(annotation, index, ['x', 'y']);
+      break;
+    case 'text':
+      requireNumbers(annotation, index, ['x', 'y']);
+      if (typeof annotation.text !== 'string' || annotation.text === '') {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `annotations[${index}].text must be a non-empty string`, { index, annotation });
+      }
+      break;
+    default:
+      requireNumbers(annotation, index, ['x', 'y', 'width', 'height']);
+  }
+}
+
+// Checked up front so a bad annotation fails before anything is captured
+export function validateAnnotations(annotations) {
+  if (!Array.isArray(annotations)) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'annotations must be an array');
+  }
+  annotations.forEach(validateAnnotation);
+}
+
+function arrowSvg({ from, to, color = DEFAULT_COLOR, strokeWidth }, size) {
+  const stroke = strokeWidth ?? 4 * size;
+  const headLength = Math.max(stroke * 4, 12 * size);
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const point = (length, offset) => [
+    to.x - length * Math.cos(angle + offset),
+    to.y - length * Math.sin(angle + offset)
+  ];
+  // Stop the shaft where the head starts so its end doesn't poke through the tip
+  const [shaftX, shaftY] = point(headLength * 0.8, 0);
+
+  return `<line x1="${from.x}" y1="${from.y}" x2="${shaftX}" y2="${shaftY}" stroke="${escapeXml(color)}" stroke-width="${stroke}" stroke-linecap="round"/>`
+    + `<polygon points="${to.x},${to.y} ${point(headLength, Math.PI / 7).join(',')} ${point(headLength, -Math.PI / 7).join(',')}" fill="${escapeXml(color)}"/>`;
+}
+
+function calloutSvg({ x, y, color = DEFAULT_COLOR, radius }, number, size) {
+  const r = radius ?? 14 * size;
+  return `<circle cx="${x}" cy="${y}" r="${r}" fill="${escapeXml(color)}" stroke="#ffffff" stroke-width="${2 * size}"/>`
+    + `<text x="${x}" y="${y}" font-family="sans-serif" font-weight="bold" font-size="${r * 1.2}" fill="#ffffff" text-anchor="middle" dominant-baseline="central">${number}</text>`;
+}
+
+function textSvg({ x, y, text, color = '#ffffff', background = 'rgba(0,0,0,0.7)', fontSize }, size) {
+  const font = fontSize ?? 18 * size;
+  const padding = font * 0.35;
+  // No font metrics in SVG, so approximate the label width for the backdrop
+  const width = text.length * font * 0.6 + padding * 2;
+  const height = font + padding * 2;
+
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${padding}" fill="${escapeXml(background)}"/>`
+    + `<text x="${x + padding}" y="${y + padding + font * 0.8}" font-family="sans-serif" font-size="${font}" fill="${escapeXml(color)}">${escapeXml(text)}</text>`;
+}
+
+function rectSvg({ x, y, width, height, color = DEFAULT_COLOR, strokeWidth, fill }, size) {
+  const stroke = strokeWidth ?? 4 * size;
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill ? escapeXml(fill) : 'none'}" stroke="${escapeXml(color)}" stroke-width="${stroke}"/>`;
+}
+
+async function obscure(image, { type, x, y, width, height, radius, blockSize }, bounds) {
+  const { rect } = clipRegion({ x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height) }, bounds);
+  const region = sharp(image).extract({ left: rect.x, top: rect.y, width: rect.width, height: rect.height });
+
+  let patch;
+  if (type === 'blur') {
+    patch = await region.blur(Math.max(0.3, radius ?? 12)).png().toBuffer();
+  } else {
+    const block = Math.max(2, Math.round(blockSize ?? 12));
+    const small = await region
+      .resize(Math.max(1, Math.ceil(rect.width / block)), Math.max(1, Math.ceil(rect.height / block)), { kernel: 'nearest', fit: 'fill' })
+      .png()
+      .toBuffer();
+    patch = await sharp(small).resize(rect.width, rect.height, { kernel: 'nearest', fit: 'fill' }).png().toBuffer();
+  }
+
+  return sharp(image).composite([{ input: patch, left: rect.x, top: rect.y }]).png().toBuffer();
+}
+
+/**
+ * Draws annotations onto a PNG at its own resolution, so coordinates are in
+ * original-capture pixels and stay correct however much the result is
+ * downscaled afterwards. Blur and pixelate boxes are applied first, then the
+ * rectangles, arrows, numbered callouts and text labels in the order given.
+ * Callouts without a `number` are numbered 1, 2, 3... in order.
+ */
+export async function annotateImage(pngBuffer, annotations = []) {
+  validateAnnotations(annotations);
+  if (annotations.length === 0) {
+    return pngBuffer;
+  }
+
+  const { width, height } = await sharp(pngBuffer).metadata();
+  const bounds = { x: 0, y: 0, width, height };
+  const size = baseSize(width, height);
+
+  let image = pngBuffer;
+  for (const annotation of annotations.filter(candidate => candidate.type === 'blur' || candidate.type === 'pixelate')) {
+    image = await obscure(image, annotation, bounds);
+  }
+
+  let calloutNumber = 0;
+  const shapes = annotations.map(annotation => {
+    switch (annotation.type) {
+      case 'rect':
+        return rectSvg(annotation, size);
+      case 'arrow':
+        return arrowSvg(annotation, size);
+      case 'callout':
+        calloutNumber++;
+        return calloutSvg(annotation, escapeXml(annotation.number ?? calloutNumber), size);
+      case 'text':
+        return textSvg(annotation, size);
+      default:
+        return '';
+    }
+  }).join('');
+
+  if (!shapes) {
+    return image;
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes}</svg>`;
+  return sharp(image).composite([{ input: Buffer.from(svg) }]).png().toBuffer();
+}
@@ -0,0 +1,345 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { buildCfHtml } from '../clipboard.js';
+import { ErrorCode, SnapItError } from '../errors.js';
+import { clipRegion } from '../geometry.js';
+
+/**
+ * File-driven stand-in for the PowerShell backend. Everything it returns comes
+ * from a JSON fixture that is re-read on every call, so a test can rewrite the
+ * fixture between tool calls to replay a different desktop.
+ *
+ * Images are either a path to a PNG (relative to the fixture file) or a
+ * `{ width, height, color }` spec rendered as a solid PNG.
+ *
+ * {
+ *   "screen": "all.png",
+ *   "monitors": [{ "deviceName": "\\\\.\\DISPLAY1", "bounds": { "x": 0, "y": 0, "width": 1920, "height": 1080 }, "primary": true, "scale": 1.5 }],
+ *   "windows": [{ "handle": 101, "title": "Untitled - Notepad", "processName": "notepad", "pid": 4242, "image": "notepad.png" }],
+ *   "clipboard": { "text": "copied text", "html": "<b>copied</b>", "files": ["C:\\Users\\me\\a.txt"] }
+ * }
+ */
+function windowBounds(win) {
+  return win.bounds ?? { x: 0, y: 0, width: win.image?.width ?? 0, height: win.image?.height ?? 0 };
+}
+
+export class FakeBackend {
+  constructor(fixturePath) {
+    if (!fixturePath) {
+      throw new SnapItError(ErrorCode.BACKEND_FAILED, 'The fake backend needs WSLSNAPIT_FAKE_FIXTURE to point at a fixture JSON file');
+    }
+    this.fixturePath = path.resolve(fixturePath);
+    // Changes made with manageWindow, by handle, layered over the fixture
+    this.windowState = new Map();
+    this.restacks = 0;
+    // Input "sent" with click and sendInput, oldest first
+    this.inputLog = [];
+  }
+
+  async loadFixture() {
+    return JSON.parse(await fs.readFile(this.fixturePath, 'utf8'));
+  }
+
+  async loadImage(image) {
+    if (!image) {
+      throw new SnapItError(ErrorCode.BACKEND_FAILED, 'Fixture entry has no image');
+    }
+    if (Buffer.isBuffer(image)) {
+      return image;
+    }
+    if (typeof image === 'string') {
+      return fs.readFile(path.resolve(path.dirname(this.fixturePath), image));
+    }
+
+    const { width = 1920, height = 1080, color = '#808080' } = image;
+    return sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+  }
+
+  // Fixture order is z-order, topmost first, until manageWindow restacks a window
+  async loadWindows() {
+    const { windows = [] } = await this.loadFixture();
+    return windows
+      .map((win, index) => ({ order: index, ...win, ...this.windowState.get(win.handle) }))
+      .sort((a, b) => a.order - b.order);
+  }
+
+  // Untitled windows (menus, popups) are only listed with includeUntitled
+  async listWindows({ includeUntitled = false } = {}) {
+    const windows = await this.loadWindows();
+
+    return windows.map((win, zOrder) => ({
+      handle: win.handle,
+      title: win.title ?? '',
+      className: win.className ?? null,
+      processName: win.processName,
+      processPath: win.processPath ?? null,
+      pid: win.pid ?? 0,
+      bounds: windowBounds(win),
+      frameBounds: this.windowArea(win, 'frame'),
+      monitor: win.monitor ?? null,
+      minimized: Boolean(win.minimized),
+      maximized: Boolean(win.maximized),
+      zOrder
+    })).filter(win => includeUntitled || win.title);
+  }
+
+  async captureScreen() {
+    const { screen } = await this.loadFixture();
+    return this.loadImage(screen);
+  }
+
+  async listMonitors() {
+    const { monitors = [] } = await this.loadFixture();
+    return monitors.map(monitor => ({
+      deviceName: monitor.deviceName,
+      bounds: monitor.bounds,
+      workingArea: monitor.workingArea ?? monitor.bounds,
+      primary: Boolean(monitor.primary),
+      scale: monitor.scale ?? 1
+    }));
+  }
+
+  // Crops the fixture's screen image, whose top-left corner sits at the
+  // virtual screen origin (the top-left-most monitor)
+  async captureRect({ x, y, width, height }) {
+    const { screen, monitors = [] } = await this.loadFixture();
+    const originX = Math.min(0, ...monitors.map(monitor => monitor.bounds.x));
+    const originY = Math.min(0, ...monitors.map(monitor => monitor.bounds.y));
+
+    return sharp(await this.loadImage(screen))
+      .extract({ left: x - originX, top: y - originY, width, height })
+      .png()
+      .toBuffer();
+  }
+
+  // A fixture window's `frameBounds` and `clientBounds` (screen coordinates)
+  // default to its bounds
+  windowArea(win, area) {
+    const bounds = windowBounds(win);
+    if (area === 'window') {
+      return bounds;
+    }
+    const frame = win.frameBounds ?? bounds;
+    return area === 'client' ? win.clientBounds ?? frame : frame;
+  }
+
+  // A window with "printWindow": false behaves like one PrintWindow can't
+  // render, so background captures fall back to the foreground method
+  async captureWindow(handle, { method = 'foreground', area = 'frame' } = {}) {
+    const windows = await this.loadWindows();
+    const win = windows.find(candidate => candidate.handle === handle);
+    if (!win) {
+      throw new SnapItError(ErrorCode.WINDOW_GONE, `Window ${handle} no longer exists`, { handle });
+    }
+
+    const canPrint = win.printWindow !== false && !win.minimized;
+    const usedMethod = method === 'background' && canPrint ? 'printWindow' : 'foreground';
+    let pngBuffer = await this.loadImage(win.image);
+    // A window resized with manageWindow is rendered at its new size
+    if (this.windowState.get(handle)?.bounds) {
+      const { width, height } = win.bounds;
+      pngBuffer = await sharp(pngBuffer).resize(width, height, { fit: 'fill' }).png().toBuffer();
+    }
+
+    // The image covers the whole window rectangle; cut out the area from it
+    const bounds = windowBounds(win);
+    const { width, height } = await sharp(pngBuffer).metadata();
+    const { rect } = clipRegion(this.windowArea(win, area), { x: bounds.x, y: bounds.y, width, height }, { relative: false });
+    if (rect.width !== width || rect.height !== height) {
+      pngBuffer = await sharp(pngBuffer)
+        .extract({ left: rect.x - bounds.x, top: rect.y - bounds.y, width: rect.width, height: rect.height })
+        .png()
+        .toBuffer();
+    }
+    return {
+      pngBuffer,
+      method: usedMethod,
+      fellBack: method === 'background' && usedMethod !== 'printWindow',
+      area,
+      bounds: rect
+    };
+  }
+
+  // Applies a window action to the in-memory window state. Maximizing keeps
+  // the fixture bounds, since the fake has no work area to fill.
+  async manageWindow(handle, { action, bounds = {} }) {
+    const win = (await this.loadWindows()).find(candidate => candidate.handle === handle);
+    if (!win) {
+      throw new SnapItError(ErrorCode.WINDOW_GONE, `Window ${handle} no longer exists`, { handle });
+    }
+
+    const state = { ...this.windowState.get(handle) };
+    switch (action) {
+      case 'restore':
+        Object.assign(state, { minimized: false, maximized: false });
+        break;
+      case 'maximize':
+        Object.assign(state, { minimized: false, maximized: true });
+        break;
+      case 'setBounds': {
+        // Bounds place the frame; the window rectangle and the client area
+        // keep their margins around it
+        const frame = this.windowArea(win, 'frame');
+        const moved = { ...frame, ...bounds };
+        const shift = (rect, from) => ({
+          x: rect.x + moved.x - from.x,
+          y: rect.y + moved.y - from.y,
+          width: rect.width + moved.width - from.width,
+          height: rect.height + moved.height - from.height
+        });
+        Object.assign(state, {
+          minimized: false,
+          maximized: false,
+          bounds: shift(windowBounds(win), frame),
+          frameBounds: moved,
+          clientBounds: shift(this.windowArea(win, 'client'), frame)
+        });
+        break;
+      }
+      case 'bringToFront':
+        Object.assign(state, { minimized: false, order: -++this.restacks });
+        break;
+      case 'sendToBack':
+        state.order = 1e9 + ++this.restacks;
+        break;
+    }
+    this.windowState.set(handle, state);
+
+    const updated = { ...win, ...state };
+    return {
+      bounds: windowBounds(updated),
+      frameBounds: this.windowArea(updated, 'frame'),
+      minimized: Boolean(updated.minimized),
+      maximized: Boolean(updated.maximized)
+    };
+  }
+
+  // Records the input instead of sending it. A window with "inputBlocked"
+  // refuses it, like an elevated window does.
+  async recordInput(handle, input) {
+    const win = (await this.loadWindows()).find(candidate => candidate.handle === handle);
+    if (!win) {
+      throw new SnapItError(ErrorCode.WINDOW_GONE, `Window ${handle} no longer exists`, { handle });
+    }
+    if (win.inputBlocked) {
+      throw new SnapItError(ErrorCode.INPUT_FAILED, 'Windows blocked the input; the window probably belongs to a process running as administrator', { handle, reason: 'blocked' });
+    }
+    this.inputLog.push({ handle, ...input });
+  }
+
+  async click(handle, { x, y, button = 'left', count = 1 }) {
+    await this.recordInput(handle, { type: 'click', x, y, button, count });
+  }
+
+  async sendInput(handle, { text = '', chords = [] }) {
+    await this.recordInput(handle, { type: 'keys', text, chords });
+  }
+
+  // Flattens the window's "uiTree" fixture (nested elements with "children")
+  // the way the PowerShell backend reports a UI Automation walk
+  async getUiTree(handle, { maxDepth, maxElements }) {
+    const { windows = [] } = await this.loadFixture();
+    const win = windows.find(candidate => candidate.handle === handle);
+    if (!win) {
+      throw new SnapItError(ErrorCode.WINDOW_GONE, `Window ${handle} no longer exists`, { handle });
+    }
+
+    const elements = [];
+    let truncated = false;
+    const stack = [{ element: win.uiTree ?? { controlType: 'Window', name: win.title }, parent: 0, depth: 0 }];
+    while (stack.length > 0) {
+      if (elements.length >= maxElements) {
+        truncated = true;
+        break;
+      }
+      const { element: { children = [], ...properties }, parent, depth } = stack.pop();
+      const id = elements.length + 1;
+      elements.push({
+        name: '',
+        automationId: '',
+        className: '',
+        bounds: null,
+        enabled: true,
+        focused: false,
+        offscreen: false,
+        value: null,
+        ...properties,
+        id,
+        parent,
+        depth
+      });
+      if (depth < maxDepth) {
+        stack.push(...children.map(child => ({ element: child, parent: id, depth: depth + 1 })).reverse());
+      }
+    }
+    return { truncated, elements };
+  }
+
+  // Format names follow what Windows reports for each kind of content;
+  // "html" holds a fragment (wrapped as CF_HTML here) or a full CF_HTML payload
+  async readClipboard(format) {
+    const clipboard = this.writtenClipboard ?? (await this.loadFixture()).clipboard ?? {};
+    const formats = [
+      ...(clipboard.image ? ['Bitmap', 'DeviceIndependentBitmap'] : []),
+      ...(clipboard.files ? ['FileDrop'] : []),
+      ...(typeof clipboard.text === 'string' ? ['UnicodeText', 'Text'] : []),
+      ...(clipboard.html ? ['HTML Format'] : []),
+      ...(clipboard.rtf ? ['Rich Text Format'] : []),
+      ...(clipboard.csv ? ['Csv'] : []),
+      ...(clipboard.otherFormats ?? [])
+    ];
+
+    switch (format) {
+      case 'formats':
+        return { formats };
+      case 'text':
+        return { formats, text: clipboard.text ?? null };
+      case 'html':
+        return {
+          formats,
+          html: !clipboard.html || clipboard.html.startsWith('Version:')
+            ? clipboard.html ?? null
+            : buildCfHtml(clipboard.html, { sourceUrl: clipboard.sourceUrl })
+        };
+      case 'rtf':
+      case 'csv':
+      case 'files':
+        return { formats, [format]: clipboard[format] ?? null };
+      case 'image':
+        return { formats, png: clipboard.image ? await this.loadImage(clipboard.image) : null };
+      default:
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Unsupported clipboard format: ${format}`, { format });
+    }
+  }
+
+  // Returns the fixture's "ocr" lines for any image, in the same
+  // { language, lines: [{ text, words: [{ text, x, y, width, height }] }] } shape
+  async recognizeText(png, { language } = {}) {
+    const { ocr = [] } = await this.loadFixture();
+    return { language: language ?? 'en-US', lines: ocr };
+  }
+
+  // The sequence changes whenever the fixture's clipboard is rewritten (or a
+  // "sequence" is set there explicitly); "owner" names the copying process
+  async getClipboardInfo() {
+    if (this.writtenClipboard) {
+      return { sequence: `written-${this.writeCount}`, ownerProcess: 'powershell' };
+    }
+    const { clipboard = {} } = await this.loadFixture();
+    return {
+      sequence: clipboard.sequence ?? JSON.stringify(clipboard),
+      ownerProcess: clipboard.owner ?? null
+    };
+  }
+
+  // Written content replaces the fixture's clipboard for the rest of the
+  // process, the way a real write replaces whatever was copied before
+  async writeClipboard({ text, html, png }) {
+    this.writtenClipboard = { text, html, image: png };
+    this.writeCount = (this.writeCount ?? 0) + 1;
+  }
+
+  // Nothing to release; here for parity with the PowerShell backend
+  close() {}
+}
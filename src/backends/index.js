@@ -0,0 +1,27 @@
+import { FakeBackend } from './fake.js';
+import { PowerShellBackend } from './powershell.js';
+
+// A capture backend enumerates windows, captures the screen, a monitor or a
+// window as PNG buffers, and reads the clipboard; close() releases whatever it
+// holds open once the client is gone. The PowerShell backend talks
+// to the real desktop; the fake backend replays fixtures so the tools can run
+// on plain Linux.
+//
+// WSLSNAPIT_POWERSHELL_WORKER=0 makes the PowerShell backend spawn a fresh
+// process per call instead of keeping a worker alive, and
+// WSLSNAPIT_TIMEOUT_MS bounds every PowerShell call (default 30000).
+export function createBackend(env = process.env) {
+  const kind = env.WSLSNAPIT_BACKEND || 'powershell';
+
+  switch (kind) {
+    case 'powershell':
+      return new PowerShellBackend({
+        persistent: env.WSLSNAPIT_POWERSHELL_WORKER !== '0',
+        timeoutMs: env.WSLSNAPIT_TIMEOUT_MS ? Number(env.WSLSNAPIT_TIMEOUT_MS) : undefined
+      });
+    case 'fake':
+      return new FakeBackend(env.WSLSNAPIT_FAKE_FIXTURE);
+    default:
+      throw new Error(`Unknown capture backend "${kind}" (expected "powershell" or "fake")`);
+  }
+}
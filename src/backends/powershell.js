@@ -0,0 +1,1117 @@
+import { ErrorCode, SnapItError } from '../errors.js';
+import { MOUSE_BUTTONS } from '../input.js';
+import { WINDOW_ACTIONS, WINDOW_AREAS } from '../windows.js';
+import { OneShotRunner, PowerShellWorker } from './worker.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Enable per-monitor DPI awareness for accurate capture
+const DPI_TYPES = `
+          Add-Type @"
+            using System.Runtime.InteropServices;
+            public class DPI {
+              [DllImport("user32.dll")]
+              public static extern bool SetProcessDPIAware();
+              
+              [DllImport("shcore.dll")]
+              public static extern int SetProcessDpiAwareness(int value);
+            }
+"@
+          [DPI]::SetProcessDpiAwareness(2) | Out-Null
+          [DPI]::SetProcessDPIAware() | Out-Null # Fallback`;
+
+// Effective DPI of the monitor containing a point, as a scale factor (1.0 = 96 DPI)
+const MONITOR_DPI_TYPES = `
+          Add-Type @"
+            using System;
+            using System.Runtime.InteropServices;
+            
+            public class MonitorDpi {
+              [DllImport("user32.dll")]
+              public static extern IntPtr MonitorFromPoint(POINT pt, uint dwFlags);
+              
+              [DllImport("shcore.dll")]
+              public static extern int GetDpiForMonitor(IntPtr hMonitor, int dpiType, out uint dpiX, out uint dpiY);
+              
+              public struct POINT {
+                public int X;
+                public int Y;
+              }
+              
+              public static double GetScale(int x, int y) {
+                POINT pt = new POINT { X = x, Y = y };
+                IntPtr hMonitor = MonitorFromPoint(pt, 2); // MONITOR_DEFAULTTONEAREST
+                uint dpiX, dpiY;
+                if (GetDpiForMonitor(hMonitor, 0, out dpiX, out dpiY) != 0) {
+                  return 1.0; // MDT_EFFECTIVE_DPI unavailable
+                }
+                return dpiX / 96.0;
+              }
+            }
+"@`;
+
+const WIN32_TYPES = `
+          Add-Type @"
+            using System;
+            using System.Runtime.InteropServices;
+            
+            public class Win32 {
+              [DllImport("user32.dll")]
+              public static extern bool GetWindowRect(IntPtr hWnd, out RECT lpRect);
+              
+              [DllImport("user32.dll")]
+              public static extern bool SetForegroundWindow(IntPtr hWnd);
+              
+              [DllImport("user32.dll")]
+              public static extern bool PrintWindow(IntPtr hWnd, IntPtr hdcBlt, uint nFlags);
+              
+              [DllImport("user32.dll")]
+              public static extern bool IsIconic(IntPtr hWnd);
+              
+              [DllImport("user32.dll")]
+              public static extern bool ShowWindow(IntPtr hWnd, int nCmdShow);
+              
+              [DllImport("user32.dll")]
+              public static extern bool IsZoomed(IntPtr hWnd);
+              
+              [DllImport("user32.dll")]
+              public static extern bool SetWindowPos(IntPtr hWnd, IntPtr hWndInsertAfter, int X, int Y, int cx, int cy, uint uFlags);
+              
+              [DllImport("user32.dll")]
+              public static extern bool GetClientRect(IntPtr hWnd, out RECT lpRect);
+              
+              [DllImport("user32.dll")]
+              public static extern bool ClientToScreen(IntPtr hWnd, ref POINT lpPoint);
+              
+              [DllImport("dwmapi.dll")]
+              public static extern int DwmGetWindowAttribute(IntPtr hWnd, int dwAttribute, out RECT pvAttribute, int cbAttribute);
+              
+              public struct RECT {
+                public int Left;
+                public int Top;
+                public int Right;
+                public int Bottom;
+              }
+              
+              public struct POINT {
+                public int X;
+                public int Y;
+              }
+              
+              // The screen rectangle of part of a window: "window" is what
+              // GetWindowRect reports, invisible resize borders and drop shadow
+              // included; "frame" the visible frame DWM draws; "client" the
+              // area inside the title bar and borders
+              public static RECT GetAreaRect(IntPtr hWnd, string area) {
+                RECT window;
+                GetWindowRect(hWnd, out window);
+                RECT result = window;
+                if (area == "frame") {
+                  // DWMWA_EXTENDED_FRAME_BOUNDS; without desktop composition the window rectangle is the frame
+                  RECT frame;
+                  if (DwmGetWindowAttribute(hWnd, 9, out frame, Marshal.SizeOf(typeof(RECT))) == 0) {
+                    result = frame;
+                  }
+                } else if (area == "client") {
+                  RECT client;
+                  POINT origin = new POINT();
+                  if (GetClientRect(hWnd, out client) && ClientToScreen(hWnd, ref origin)) {
+                    result.Left = origin.X;
+                    result.Top = origin.Y;
+                    result.Right = origin.X + client.Right;
+                    result.Bottom = origin.Y + client.Bottom;
+                  }
+                }
+                return result.Right > result.Left && result.Bottom > result.Top ? result : window;
+              }
+            }
+"@`;
+
+// Enhanced window search using EnumWindows for better performance and cleaner errors
+const WINDOW_ENUMERATOR_TYPES = `
+          Add-Type @"
+            using System;
+            using System.Collections.Generic;
+            using System.Diagnostics;
+            using System.Runtime.InteropServices;
+            using System.Text;
+            
+            public class WindowEnumerator {
+              [DllImport("user32.dll")]
+              public static extern bool EnumWindows(EnumWindowsProc enumProc, IntPtr lParam);
+              
+              [DllImport("user32.dll")]
+              public static extern int GetWindowText(IntPtr hWnd, StringBuilder lpString, int nMaxCount);
+              
+              [DllImport("user32.dll")]
+              public static extern bool IsWindowVisible(IntPtr hWnd);
+              
+              [DllImport("user32.dll")]
+              public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
+              
+              [DllImport("user32.dll")]
+              public static extern bool GetWindowRect(IntPtr hWnd, out RECT lpRect);
+              
+              [DllImport("user32.dll")]
+              public static extern bool IsIconic(IntPtr hWnd);
+              
+              [DllImport("user32.dll")]
+              public static extern bool IsZoomed(IntPtr hWnd);
+              
+              [DllImport("user32.dll", CharSet = CharSet.Unicode)]
+              public static extern int GetClassName(IntPtr hWnd, StringBuilder lpClassName, int nMaxCount);
+              
+              [DllImport("kernel32.dll")]
+              public static extern IntPtr OpenProcess(uint dwDesiredAccess, bool bInheritHandle, uint dwProcessId);
+              
+              [DllImport("kernel32.dll", CharSet = CharSet.Unicode)]
+              public static extern bool QueryFullProcessImageName(IntPtr hProcess, int dwFlags, StringBuilder lpExeName, ref int lpdwSize);
+              
+              [DllImport("kernel32.dll")]
+              public static extern bool CloseHandle(IntPtr hObject);
+              
+              [DllImport("dwmapi.dll")]
+              public static extern int DwmGetWindowAttribute(IntPtr hWnd, int dwAttribute, out RECT pvAttribute, int cbAttribute);
+              
+              public delegate bool EnumWindowsProc(IntPtr hWnd, IntPtr lParam);
+              
+              public struct RECT {
+                public int Left;
+                public int Top;
+                public int Right;
+                public int Bottom;
+              }
+              
+              // Limited query access is granted even for elevated processes,
+              // where Process.MainModule throws
+              public static string GetProcessPath(uint processId) {
+                IntPtr process = OpenProcess(0x1000, false, processId);
+                if (process == IntPtr.Zero) {
+                  return null;
+                }
+                try {
+                  StringBuilder path = new StringBuilder(1024);
+                  int size = path.Capacity;
+                  return QueryFullProcessImageName(process, 0, path, ref size) ? path.ToString() : null;
+                } finally {
+                  CloseHandle(process);
+                }
+              }
+              
+              // EnumWindows walks top-level windows from the top of the z-order down.
+              // Untitled ones are mostly menus, popups and tool windows.
+              public static List<WindowInfo> GetVisibleWindows(bool includeUntitled) {
+                List<WindowInfo> windows = new List<WindowInfo>();
+                int zOrder = 0;
+                EnumWindows((hWnd, lParam) => {
+                  if (IsWindowVisible(hWnd)) {
+                    StringBuilder title = new StringBuilder(256);
+                    GetWindowText(hWnd, title, title.Capacity);
+                    if (title.Length > 0 || includeUntitled) {
+                      uint processId;
+                      GetWindowThreadProcessId(hWnd, out processId);
+                      try {
+                        Process process = Process.GetProcessById((int)processId);
+                        RECT rect;
+                        GetWindowRect(hWnd, out rect);
+                        // The visible frame, without the invisible resize borders and shadow
+                        RECT frame;
+                        if (DwmGetWindowAttribute(hWnd, 9, out frame, Marshal.SizeOf(typeof(RECT))) != 0) {
+                          frame = rect;
+                        }
+                        StringBuilder className = new StringBuilder(256);
+                        GetClassName(hWnd, className, className.Capacity);
+                        windows.Add(new WindowInfo {
+                          Handle = hWnd,
+                          Title = title.ToString(),
+                          ClassName = className.ToString(),
+                          ProcessName = process.ProcessName,
+                          ProcessPath = GetProcessPath(processId),
+                          ProcessId = (int)processId,
+                          Left = rect.Left,
+                          Top = rect.Top,
+                          Width = rect.Right - rect.Left,
+                          Height = rect.Bottom - rect.Top,
+                          Frame = frame,
+                          Minimized = IsIconic(hWnd),
+                          Maximized = IsZoomed(hWnd),
+                          ZOrder = zOrder++
+                        });
+                      } catch {
+                        // Skip if process no longer exists
+                      }
+                    }
+                  }
+                  return true;
+                }, IntPtr.Zero);
+                return windows;
+              }
+            }
+            
+            public class WindowInfo {
+              public IntPtr Handle;
+              public string Title;
+              public string ClassName;
+              public string ProcessName;
+              public string ProcessPath;
+              public int ProcessId;
+              public int Left;
+              public int Top;
+              public int Width;
+              public int Height;
+              public WindowEnumerator.RECT Frame;
+              public bool Minimized;
+              public bool Maximized;
+              public int ZOrder;
+            }
+"@`;
+
+// Cheap clipboard change detection: the sequence number changes on every
+// copy, and the owner window tells which process put the content there
+const CLIPBOARD_TYPES = `
+          Add-Type @"
+            using System;
+            using System.Runtime.InteropServices;
+            
+            public class ClipboardInfo {
+              [DllImport("user32.dll")]
+              public static extern uint GetClipboardSequenceNumber();
+              
+              [DllImport("user32.dll")]
+              public static extern IntPtr GetClipboardOwner();
+              
+              [DllImport("user32.dll")]
+              public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
+            }
+"@`;
+
+// Synthesized keyboard and mouse input. SendInput reports how many events it
+// inserted; fewer than sent means UIPI blocked them (the target runs elevated).
+const INPUT_TYPES = `
+          Add-Type @"
+            using System;
+            using System.Runtime.InteropServices;
+            
+            public static class InputSender {
+              [StructLayout(LayoutKind.Sequential)]
+              struct MOUSEINPUT { public int dx; public int dy; public uint mouseData; public uint dwFlags; public uint time; public IntPtr dwExtraInfo; }
+              
+              [StructLayout(LayoutKind.Sequential)]
+              struct KEYBDINPUT { public ushort wVk; public ushort wScan; public uint dwFlags; public uint time; public IntPtr dwExtraInfo; }
+              
+              [StructLayout(LayoutKind.Explicit)]
+              struct INPUTUNION { [FieldOffset(0)] public MOUSEINPUT mi; [FieldOffset(0)] public KEYBDINPUT ki; }
+              
+              [StructLayout(LayoutKind.Sequential)]
+              struct INPUT { public uint type; public INPUTUNION u; }
+              
+              [DllImport("user32.dll", SetLastError = true)]
+              static extern uint SendInput(uint nInputs, INPUT[] pInputs, int cbSize);
+              
+              [DllImport("user32.dll")]
+              static extern bool SetCursorPos(int x, int y);
+              
+              [DllImport("user32.dll")]
+              public static extern IntPtr GetForegroundWindow();
+              
+              [StructLayout(LayoutKind.Sequential)]
+              struct POINT { public int X; public int Y; }
+              
+              [DllImport("user32.dll")]
+              static extern IntPtr WindowFromPoint(POINT point);
+              
+              [DllImport("user32.dll")]
+              static extern IntPtr GetAncestor(IntPtr hWnd, uint flags);
+              
+              // The top-level window a click at (x, y) would land on
+              public static IntPtr RootWindowAt(int x, int y) {
+                POINT point = new POINT();
+                point.X = x;
+                point.Y = y;
+                return GetAncestor(WindowFromPoint(point), 2); // GA_ROOT
+              }
+              
+              static bool Send(INPUT[] inputs) {
+                return SendInput((uint)inputs.Length, inputs, Marshal.SizeOf(typeof(INPUT))) == inputs.Length;
+              }
+              
+              static INPUT Mouse(uint flags) {
+                INPUT input = new INPUT();
+                input.type = 0;
+                input.u.mi.dwFlags = flags;
+                return input;
+              }
+              
+              static INPUT Key(ushort vk, ushort scan, uint flags) {
+                INPUT input = new INPUT();
+                input.type = 1;
+                input.u.ki.wVk = vk;
+                input.u.ki.wScan = scan;
+                input.u.ki.dwFlags = flags;
+                return input;
+              }
+              
+              // Navigation keys share scan codes with the numpad unless marked extended
+              static uint Extended(ushort vk) {
+                return (vk >= 0x21 && vk <= 0x28) || vk == 0x2D || vk == 0x2E || vk == 0x5B || vk == 0x5D ? 1u : 0u;
+              }
+              
+              public static bool Click(int x, int y, string button, int count) {
+                uint down = 0x0002, up = 0x0004;
+                if (button == "right") { down = 0x0008; up = 0x0010; }
+                if (button == "middle") { down = 0x0020; up = 0x0040; }
+                SetCursorPos(x, y);
+                for (int i = 0; i < count; i++) {
+                  if (!Send(new INPUT[] { Mouse(down), Mouse(up) })) return false;
+                }
+                return true;
+              }
+              
+              // Presses the keys in order and releases them in reverse
+              public static bool Chord(ushort[] keys) {
+                INPUT[] inputs = new INPUT[keys.Length * 2];
+                for (int i = 0; i < keys.Length; i++) {
+                  inputs[i] = Key(keys[i], 0, Extended(keys[i]));
+                  inputs[inputs.Length - 1 - i] = Key(keys[i], 0, Extended(keys[i]) | 0x0002);
+                }
+                return Send(inputs);
+              }
+              
+              // Types Unicode characters directly, whatever the keyboard layout
+              public static bool Type(string text) {
+                foreach (char c in text.Replace("\\r\\n", "\\n")) {
+                  bool sent = c == '\\n'
+                    ? Chord(new ushort[] { 0x0D })
+                    : Send(new INPUT[] { Key(0, c, 0x0004), Key(0, c, 0x0004 | 0x0002) });
+                  if (!sent) return false;
+                }
+                return true;
+              }
+            }
+"@`;
+
+// Brings the window to the front for input, restoring it if minimized, and
+// stops if it didn't get there (Windows can refuse to hand over the focus)
+const FOCUS_FOR_INPUT = `
+          $rect = New-Object Win32+RECT
+          if (-not [Win32]::GetWindowRect($hwnd, [ref]$rect)) {
+            Write-Output "WINDOW_GONE"
+            return
+          }
+          if ([Win32]::IsIconic($hwnd)) {
+            [Win32]::ShowWindow($hwnd, 9) | Out-Null
+            Start-Sleep -Milliseconds 300
+            [Win32]::GetWindowRect($hwnd, [ref]$rect) | Out-Null
+          }
+          [Win32]::SetForegroundWindow($hwnd) | Out-Null
+          Start-Sleep -Milliseconds 100
+          if ([InputSender]::GetForegroundWindow() -ne $hwnd) {
+            Write-Output "INPUT_FAILED:focus"
+            return
+          }`;
+
+// Hand the captured bitmap to Node.js as PNG bytes
+const EMIT_BITMAP = `
+          $ms = New-Object System.IO.MemoryStream
+          $bitmap.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)
+          Send-Image $ms.ToArray()
+          $ms.Dispose()
+          $graphics.Dispose()
+          $bitmap.Dispose()`;
+
+// Every script runs inside the same error envelope so failures surface as "ERROR: ..."
+function wrapScript(body) {
+  return `
+        try {
+          $ErrorActionPreference = 'Stop'
+          try { [Console]::OutputEncoding = [System.Text.Encoding]::UTF8 } catch { }
+          Add-Type -AssemblyName System.Windows.Forms
+          Add-Type -AssemblyName System.Drawing
+          ${body}
+        } catch {
+          Write-Output "ERROR: $_"
+          return
+        }
+      `;
+}
+
+function throwIfFailed(stdout, stderr) {
+  const errorMatch = stdout.match(/ERROR:\s*(.+)/) || stderr.match(/ERROR:\s*(.+)/);
+  if (errorMatch) {
+    throw new SnapItError(ErrorCode.BACKEND_FAILED, errorMatch[1].trim());
+  }
+}
+
+function extractMarker(stdout, stderr, marker) {
+  const markerIndex = stdout.indexOf(marker);
+  if (markerIndex === -1) {
+    throwIfFailed(stdout, stderr);
+    throw new SnapItError(ErrorCode.BACKEND_FAILED, `Failed to read ${marker.slice(0, -1)} output from PowerShell`);
+  }
+
+  let data = stdout.substring(markerIndex + marker.length).trim();
+
+  // Remove any trailing PowerShell output or newlines
+  const errorIndex = data.indexOf('ERROR:');
+  if (errorIndex > 0) {
+    data = data.substring(0, errorIndex).trim();
+  }
+  return data;
+}
+
+// JSON that may contain arbitrary text (clipboard content, recognized text)
+// travels base64-encoded after its marker, so it can't be mistaken for
+// "ERROR:" or another marker
+function extractEncodedJson(stdout, stderr, marker, fallbackMessage) {
+  const encoded = stdout.match(new RegExp(`${marker}([A-Za-z0-9+/=]+)`))?.[1];
+  if (!encoded) {
+    throwIfFailed(stdout, stderr);
+    throw new SnapItError(ErrorCode.BACKEND_FAILED, stderr.trim() || fallbackMessage);
+  }
+  return JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+}
+
+function checkInputResult(handle, stdout, stderr) {
+  if (stdout.includes('WINDOW_GONE')) {
+    throw new SnapItError(ErrorCode.WINDOW_GONE, `Window ${handle} no longer exists`, { handle });
+  }
+  const reason = stdout.match(/INPUT_FAILED:(\w+)/)?.[1];
+  if (reason === 'focus') {
+    throw new SnapItError(ErrorCode.INPUT_FAILED, 'Windows did not let the window come to the front, so no input was sent', { handle, reason });
+  }
+  if (reason === 'covered') {
+    throw new SnapItError(ErrorCode.INPUT_FAILED, 'Another window covers the click point, so no input was sent', { handle, reason });
+  }
+  if (reason) {
+    throw new SnapItError(
+      ErrorCode.INPUT_FAILED,
+      'Windows blocked the input; the window probably belongs to a process running as administrator',
+      { handle, reason }
+    );
+  }
+  if (!stdout.includes('INPUT_SENT')) {
+    throwIfFailed(stdout, stderr);
+    throw new SnapItError(ErrorCode.BACKEND_FAILED, stderr.trim() || 'Unable to send input');
+  }
+}
+
+// Images arrive as raw bytes from the worker, or as base64 text from a one-shot process
+function extractImage({ stdout, stderr, image }) {
+  if (image) {
+    throwIfFailed(stdout, stderr);
+    return image;
+  }
+  return Buffer.from(extractMarker(stdout, stderr, 'BASE64:'), 'base64');
+}
+
+/**
+ * Capture backend that drives the real Windows desktop through powershell.exe.
+ * By default scripts run in a persistent worker with every type preloaded;
+ * `persistent: false` spawns a fresh process per call instead.
+ */
+export class PowerShellBackend {
+  constructor({ persistent = true, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.runner = persistent
+      ? new PowerShellWorker({ timeoutMs, preload: wrapScript(`${DPI_TYPES}${MONITOR_DPI_TYPES}${WIN32_TYPES}${WINDOW_ENUMERATOR_TYPES}${CLIPBOARD_TYPES}${INPUT_TYPES}`) })
+      : new OneShotRunner({ timeoutMs });
+  }
+
+  run(body) {
+    return this.runner.run(wrapScript(body));
+  }
+
+  async runImageScript(body) {
+    return extractImage(await this.run(body));
+  }
+
+  close() {
+    this.runner.close();
+  }
+
+  async listWindows({ includeUntitled = false } = {}) {
+    const { stdout, stderr } = await this.run(`
+          ${WINDOW_ENUMERATOR_TYPES}
+          
+          $windows = @([WindowEnumerator]::GetVisibleWindows($${includeUntitled ? 'true' : 'false'}) | ForEach-Object {
+            [PSCustomObject]@{
+              handle = $_.Handle.ToInt64()
+              title = $_.Title
+              className = $_.ClassName
+              processName = $_.ProcessName
+              processPath = $_.ProcessPath
+              pid = $_.ProcessId
+              bounds = [PSCustomObject]@{ x = $_.Left; y = $_.Top; width = $_.Width; height = $_.Height }
+              frameBounds = [PSCustomObject]@{ x = $_.Frame.Left; y = $_.Frame.Top; width = $_.Frame.Right - $_.Frame.Left; height = $_.Frame.Bottom - $_.Frame.Top }
+              monitor = [System.Windows.Forms.Screen]::FromHandle($_.Handle).DeviceName
+              minimized = $_.Minimized
+              maximized = $_.Maximized
+              zOrder = $_.ZOrder
+            }
+          })
+          Write-Output ("JSON:" + (ConvertTo-Json -InputObject $windows -Compress))`);
+
+    return JSON.parse(extractMarker(stdout, stderr, 'JSON:'));
+  }
+
+  async captureScreen() {
+    return this.runImageScript(`
+          ${DPI_TYPES}
+          
+          $screen = [System.Windows.Forms.SystemInformation]::VirtualScreen
+          $bitmap = New-Object System.Drawing.Bitmap $screen.Width, $screen.Height
+          $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
+          $graphics.CopyFromScreen($screen.Left, $screen.Top, 0, 0, $bitmap.Size)
+          ${EMIT_BITMAP}`);
+  }
+
+  async listMonitors() {
+    const { stdout, stderr } = await this.run(`
+          ${DPI_TYPES}
+          ${MONITOR_DPI_TYPES}
+          
+          $monitors = @([System.Windows.Forms.Screen]::AllScreens | ForEach-Object {
+            $bounds = $_.Bounds
+            $workingArea = $_.WorkingArea
+            [PSCustomObject]@{
+              deviceName = $_.DeviceName
+              bounds = [PSCustomObject]@{ x = $bounds.X; y = $bounds.Y; width = $bounds.Width; height = $bounds.Height }
+              workingArea = [PSCustomObject]@{ x = $workingArea.X; y = $workingArea.Y; width = $workingArea.Width; height = $workingArea.Height }
+              primary = $_.Primary
+              scale = [MonitorDpi]::GetScale($bounds.X + 1, $bounds.Y + 1)
+            }
+          })
+          Write-Output ("JSON:" + (ConvertTo-Json -InputObject $monitors -Compress -Depth 3))`);
+
+    return JSON.parse(extractMarker(stdout, stderr, 'JSON:'));
+  }
+
+  async captureRect({ x, y, width, height }) {
+    return this.runImageScript(`
+          ${DPI_TYPES}
+          
+          $bitmap = New-Object System.Drawing.Bitmap(${Number(width)}, ${Number(height)})
+          $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
+          # Use explicit coordinates for accurate capture
+          $graphics.CopyFromScreen(${Number(x)}, ${Number(y)}, 0, 0, $bitmap.Size)
+          ${EMIT_BITMAP}`);
+  }
+
+  // Captures the window's `area` (see WINDOW_AREAS) and reports the screen
+  // rectangle it covered
+  async captureWindow(handle, { method = 'foreground', area = 'frame' } = {}) {
+    const areaName = WINDOW_AREAS.includes(area) ? area : 'frame';
+    const result = await this.run(`
+          ${WIN32_TYPES}
+          ${DPI_TYPES}
+          
+          $hwnd = [IntPtr]::new([int64]${Number(handle)})
+          
+          # Get window rectangle
+          $rect = New-Object Win32+RECT
+          if (-not [Win32]::GetWindowRect($hwnd, [ref]$rect)) {
+            Write-Output "WINDOW_GONE"
+            return
+          }
+          
+          $width = $rect.Right - $rect.Left
+          $height = $rect.Bottom - $rect.Top
+          $usedMethod = $null
+          
+          # Minimized windows have nothing for PrintWindow to render
+          if ('${method === 'background' ? 'background' : 'foreground'}' -eq 'background' -and -not [Win32]::IsIconic($hwnd)) {
+            $bitmap = New-Object System.Drawing.Bitmap $width, $height
+            $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
+            $hdc = $graphics.GetHdc()
+            # PW_RENDERFULLCONTENT (2) renders through DWM, which covers GPU-accelerated windows
+            $printed = [Win32]::PrintWindow($hwnd, $hdc, 2)
+            $graphics.ReleaseHdc($hdc)
+            
+            # Some windows "succeed" but paint nothing, so sample a grid for any non-black pixel
+            $painted = $false
+            if ($printed) {
+              for ($sx = 0; $sx -lt 16 -and -not $painted; $sx++) {
+                for ($sy = 0; $sy -lt 16 -and -not $painted; $sy++) {
+                  $pixel = $bitmap.GetPixel([int](($width - 1) * $sx / 15), [int](($height - 1) * $sy / 15))
+                  if (($pixel.ToArgb() -band 0xFFFFFF) -ne 0) { $painted = $true }
+                }
+              }
+            }
+            
+            if ($painted) {
+              # PrintWindow renders the whole window rectangle, so cut out the area
+              $area = [Win32]::GetAreaRect($hwnd, '${areaName}')
+              $cropX = [Math]::Max(0, $area.Left - $rect.Left)
+              $cropY = [Math]::Max(0, $area.Top - $rect.Top)
+              $cropWidth = [Math]::Min($area.Right, $rect.Right) - $rect.Left - $cropX
+              $cropHeight = [Math]::Min($area.Bottom, $rect.Bottom) - $rect.Top - $cropY
+              if ($cropWidth -ne $width -or $cropHeight -ne $height) {
+                $full = $bitmap
+                $bitmap = $full.Clone((New-Object System.Drawing.Rectangle $cropX, $cropY, $cropWidth, $cropHeight), $full.PixelFormat)
+                $graphics.Dispose()
+                $full.Dispose()
+                $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
+              }
+              $boundsLeft = $rect.Left + $cropX
+              $boundsTop = $rect.Top + $cropY
+              $usedMethod = 'printWindow'
+            } else {
+              $graphics.Dispose()
+              $bitmap.Dispose()
+            }
+          }
+          
+          if ($usedMethod -eq $null) {
+            if ([Win32]::IsIconic($hwnd)) {
+              # SW_RESTORE, so the area is read from the restored window
+              [Win32]::ShowWindow($hwnd, 9) | Out-Null
+              Start-Sleep -Milliseconds 300
+            }
+            
+            # Bring window to foreground and wait for it to fully render
+            [Win32]::SetForegroundWindow($hwnd) | Out-Null
+            Start-Sleep -Milliseconds 200
+            
+            # Capture the window with DPI awareness
+            $area = [Win32]::GetAreaRect($hwnd, '${areaName}')
+            $bitmap = New-Object System.Drawing.Bitmap ($area.Right - $area.Left), ($area.Bottom - $area.Top)
+            $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
+            $graphics.CopyFromScreen($area.Left, $area.Top, 0, 0, $bitmap.Size)
+            $boundsLeft = $area.Left
+            $boundsTop = $area.Top
+            $usedMethod = 'foreground'
+          }
+          
+          Write-Output "METHOD:$usedMethod"
+          Write-Output "BOUNDS:$boundsLeft,$boundsTop,$($bitmap.Width),$($bitmap.Height)"
+          ${EMIT_BITMAP}`);
+
+    if (result.stdout.includes('WINDOW_GONE')) {
+      throw new SnapItError(ErrorCode.WINDOW_GONE, `Window ${handle} no longer exists`, { handle });
+    }
+    const pngBuffer = extractImage(result);
+    const usedMethod = result.stdout.match(/METHOD:(\w+)/)?.[1];
+    const [x, y, width, height] = (result.stdout.match(/BOUNDS:(-?\d+),(-?\d+),(\d+),(\d+)/) ?? []).slice(1).map(Number);
+    return {
+      pngBuffer,
+      method: usedMethod,
+      fellBack: method === 'background' && usedMethod !== 'printWindow',
+      area: areaName,
+      bounds: Number.isInteger(x) ? { x, y, width, height } : null
+    };
+  }
+
+  // Applies one of WINDOW_ACTIONS and reports where the window ended up, which
+  // may differ from what was asked (windows can enforce a minimum size).
+  // setBounds places the visible frame, as captures see it, so the window
+  // rectangle grows by the invisible borders around it.
+  async manageWindow(handle, { action, bounds = {} }) {
+    const coordinate = (key, fallback) => (Number.isInteger(bounds[key]) ? bounds[key] : fallback);
+
+    const { stdout, stderr } = await this.run(`
+          ${WIN32_TYPES}
+          ${DPI_TYPES}
+          
+          $hwnd = [IntPtr]::new([int64]${Number(handle)})
+          $rect = New-Object Win32+RECT
+          if (-not [Win32]::GetWindowRect($hwnd, [ref]$rect)) {
+            Write-Output "WINDOW_GONE"
+            return
+          }
+          
+          switch ('${WINDOW_ACTIONS.includes(action) ? action : ''}') {
+            'restore' {
+              # SW_RESTORE
+              [Win32]::ShowWindow($hwnd, 9) | Out-Null
+            }
+            'maximize' {
+              # SW_MAXIMIZE
+              [Win32]::ShowWindow($hwnd, 3) | Out-Null
+            }
+            'setBounds' {
+              # A minimized or maximized window has to be restored before it can be moved
+              if ([Win32]::IsIconic($hwnd) -or [Win32]::IsZoomed($hwnd)) {
+                [Win32]::ShowWindow($hwnd, 9) | Out-Null
+                Start-Sleep -Milliseconds 300
+                [Win32]::GetWindowRect($hwnd, [ref]$rect) | Out-Null
+              }
+              $frame = [Win32]::GetAreaRect($hwnd, 'frame')
+              $x = ${coordinate('x', '$frame.Left')}
+              $y = ${coordinate('y', '$frame.Top')}
+              $width = ${coordinate('width', '($frame.Right - $frame.Left)')}
+              $height = ${coordinate('height', '($frame.Bottom - $frame.Top)')}
+              $left = $frame.Left - $rect.Left
+              $top = $frame.Top - $rect.Top
+              $horizontal = $left + $rect.Right - $frame.Right
+              $vertical = $top + $rect.Bottom - $frame.Bottom
+              # SWP_NOZORDER | SWP_NOACTIVATE
+              [Win32]::SetWindowPos($hwnd, [IntPtr]::Zero, $x - $left, $y - $top, $width + $horizontal, $height + $vertical, 0x14) | Out-Null
+            }
+            'bringToFront' {
+              if ([Win32]::IsIconic($hwnd)) {
+                [Win32]::ShowWindow($hwnd, 9) | Out-Null
+              }
+              [Win32]::SetForegroundWindow($hwnd) | Out-Null
+            }
+            'sendToBack' {
+              # HWND_BOTTOM with SWP_NOSIZE | SWP_NOMOVE | SWP_NOACTIVATE
+              [Win32]::SetWindowPos($hwnd, [IntPtr]1, 0, 0, 0, 0, 0x13) | Out-Null
+            }
+          }
+          
+          # Give the window time to finish animating and repaint
+          Start-Sleep -Milliseconds 200
+          [Win32]::GetWindowRect($hwnd, [ref]$rect) | Out-Null
+          $frame = [Win32]::GetAreaRect($hwnd, 'frame')
+          $state = [PSCustomObject]@{
+            bounds = [PSCustomObject]@{ x = $rect.Left; y = $rect.Top; width = $rect.Right - $rect.Left; height = $rect.Bottom - $rect.Top }
+            frameBounds = [PSCustomObject]@{ x = $frame.Left; y = $frame.Top; width = $frame.Right - $frame.Left; height = $frame.Bottom - $frame.Top }
+            minimized = [Win32]::IsIconic($hwnd)
+            maximized = [Win32]::IsZoomed($hwnd)
+          }
+          Write-Output ("JSON:" + (ConvertTo-Json -InputObject $state -Compress))`);
+
+    if (stdout.includes('WINDOW_GONE')) {
+      throw new SnapItError(ErrorCode.WINDOW_GONE, `Window ${handle} no longer exists`, { handle });
+    }
+    return JSON.parse(extractMarker(stdout, stderr, 'JSON:'));
+  }
+
+  // Clicks at (x, y) relative to the window's top-left corner, read fresh so
+  // a window that moved since it was listed is still hit in the right place
+  async click(handle, { x, y, button = 'left', count = 1 }) {
+    const { stdout, stderr } = await this.run(`
+          ${WIN32_TYPES}
+          ${DPI_TYPES}
+          ${INPUT_TYPES}
+          
+          $hwnd = [IntPtr]::new([int64]${Number(handle)})
+          ${FOCUS_FOR_INPUT}
+          
+          # Relative to the visible frame, like a window capture
+          $frame = [Win32]::GetAreaRect($hwnd, 'frame')
+          $x = $frame.Left + ${Number(x)}
+          $y = $frame.Top + ${Number(y)}
+          
+          # A topmost window of another process may cover the point, and
+          # the click would go to it instead
+          if ([InputSender]::RootWindowAt($x, $y) -ne $hwnd) {
+            Write-Output "INPUT_FAILED:covered"
+            return
+          }
+          if (-not [InputSender]::Click($x, $y, '${MOUSE_BUTTONS.includes(button) ? button : 'left'}', ${Number(count)})) {
+            Write-Output "INPUT_FAILED:blocked"
+            return
+          }
+          Write-Output "INPUT_SENT"`);
+
+    checkInputResult(handle, stdout, stderr);
+  }
+
+  // Types `text`, then presses each chord (arrays of virtual-key codes). The
+  // text is embedded as base64, since PowerShell also ends a single-quoted
+  // string at typographic quotes.
+  async sendInput(handle, { text = '', chords = [] }) {
+    const encodedText = Buffer.from(String(text), 'utf8').toString('base64');
+    // Unrolled, since PowerShell would flatten a one-chord array of arrays
+    const pressChords = chords.map(keys => `
+          if (-not [InputSender]::Chord([uint16[]]@(${keys.map(Number).join(', ')}))) {
+            Write-Output "INPUT_FAILED:blocked"
+            return
+          }
+          Start-Sleep -Milliseconds 50`).join('');
+
+    const { stdout, stderr } = await this.run(`
+          ${WIN32_TYPES}
+          ${DPI_TYPES}
+          ${INPUT_TYPES}
+          
+          $hwnd = [IntPtr]::new([int64]${Number(handle)})
+          ${FOCUS_FOR_INPUT}
+          
+          $text = [System.Text.Encoding]::UTF8.GetString([Convert]::FromBase64String('${encodedText}'))
+          if (-not [InputSender]::Type($text)) {
+            Write-Output "INPUT_FAILED:blocked"
+            return
+          }
+          ${pressChords}
+          Write-Output "INPUT_SENT"`);
+
+    checkInputResult(handle, stdout, stderr);
+  }
+
+  // Walks the window's UI Automation control view depth-first and returns the
+  // elements as a flat list in visiting order, each pointing at its parent's
+  // id (0 for the window itself). Flat, because ConvertTo-Json can't nest
+  // deeper than 100 levels. DPI awareness keeps the element bounds in the
+  // same physical pixels as the captures.
+  async getUiTree(handle, { maxDepth, maxElements }) {
+    const { stdout, stderr } = await this.run(`
+          ${WIN32_TYPES}
+          ${DPI_TYPES}
+          Add-Type -AssemblyName UIAutomationClient
+          Add-Type -AssemblyName UIAutomationTypes
+          
+          $hwnd = [IntPtr]::new([int64]${Number(handle)})
+          $rect = New-Object Win32+RECT
+          if (-not [Win32]::GetWindowRect($hwnd, [ref]$rect)) {
+            Write-Output "WINDOW_GONE"
+            return
+          }
+          
+          $root = [System.Windows.Automation.AutomationElement]::FromHandle($hwnd)
+          $walker = [System.Windows.Automation.TreeWalker]::ControlViewWalker
+          $elements = New-Object System.Collections.ArrayList
+          $stack = New-Object System.Collections.Stack
+          $stack.Push(@($root, 0, 0))
+          $truncated = $false
+          
+          while ($stack.Count -gt 0) {
+            if ($elements.Count -ge ${Number(maxElements)}) {
+              $truncated = $true
+              break
+            }
+            $element, $parent, $depth = $stack.Pop()
+            
+            try {
+              $current = $element.Current
+              $box = $current.BoundingRectangle
+              $bounds = $null
+              if (-not $box.IsEmpty -and -not [double]::IsInfinity($box.X)) {
+                $bounds = @{ x = [int]$box.X; y = [int]$box.Y; width = [int]$box.Width; height = [int]$box.Height }
+              }
+              $value = $null
+              $valuePattern = $null
+              if ($element.TryGetCurrentPattern([System.Windows.Automation.ValuePattern]::Pattern, [ref]$valuePattern)) {
+                $value = $valuePattern.Current.Value
+                if ($value -and $value.Length -gt 1000) {
+                  $value = $value.Substring(0, 1000)
+                }
+              }
+              $id = $elements.Count + 1
+              [void]$elements.Add(@{
+                id = $id
+                parent = $parent
+                depth = $depth
+                controlType = ($current.ControlType.ProgrammaticName -replace '^ControlType\\.', '')
+                name = $current.Name
+                automationId = $current.AutomationId
+                className = $current.ClassName
+                bounds = $bounds
+                enabled = $current.IsEnabled
+                focused = $current.HasKeyboardFocus
+                offscreen = $current.IsOffscreen
+                value = $value
+              })
+            } catch {
+              # Elements can disappear while the tree is being walked
+              continue
+            }
+            
+            if ($depth -lt ${Number(maxDepth)}) {
+              $children = New-Object System.Collections.ArrayList
+              try {
+                $child = $walker.GetFirstChild($element)
+                while ($null -ne $child) {
+                  [void]$children.Add($child)
+                  $child = $walker.GetNextSibling($child)
+                }
+              } catch {}
+              # Pushed in reverse so they are visited in order
+              for ($i = $children.Count - 1; $i -ge 0; $i--) {
+                $stack.Push(@($children[$i], $id, ($depth + 1)))
+              }
+            }
+          }
+          
+          $json = ConvertTo-Json -InputObject @{ truncated = $truncated; elements = @($elements) } -Compress -Depth 5
+          Write-Output "UITREE:$([Convert]::ToBase64String([System.Text.Encoding]::UTF8.GetBytes($json)))"`);
+
+    if (stdout.includes('WINDOW_GONE')) {
+      throw new SnapItError(ErrorCode.WINDOW_GONE, `Window ${handle} no longer exists`, { handle });
+    }
+    return extractEncodedJson(stdout, stderr, 'UITREE:', 'Unable to read the UI Automation tree');
+  }
+
+  // Reports every format name on the clipboard and the payload of the
+  // requested one. The payload travels as base64-encoded JSON so clipboard
+  // text can't be mistaken for one of our output markers.
+  async readClipboard(format) {
+    const escapedFormat = String(format).replace(/'/g, "''");
+
+    const result = await this.run(`
+          # Stream-backed formats (CSV in particular) come back as a MemoryStream
+          function Read-ClipboardString($data, [string]$name, $encoding) {
+            if (-not $data.GetDataPresent($name)) { return $null }
+            $value = $data.GetData($name)
+            if ($value -is [System.IO.MemoryStream]) { $value = $encoding.GetString($value.ToArray()) }
+            if ($null -eq $value) { return $null }
+            return ([string]$value).TrimEnd([char]0)
+          }
+          
+          $format = '${escapedFormat}'
+          $data = [System.Windows.Forms.Clipboard]::GetDataObject()
+          $content = @{ formats = @() }
+          if ($null -ne $data) { $content.formats = @($data.GetFormats()) }
+          $image = $null
+          
+          if ($null -ne $data) {
+            switch ($format) {
+              'text' {
+                if ([System.Windows.Forms.Clipboard]::ContainsText()) { $content.text = [System.Windows.Forms.Clipboard]::GetText() }
+              }
+              'html' { $content.html = Read-ClipboardString $data 'HTML Format' ([System.Text.Encoding]::UTF8) }
+              'rtf' { $content.rtf = Read-ClipboardString $data 'Rich Text Format' ([System.Text.Encoding]::Default) }
+              'csv' { $content.csv = Read-ClipboardString $data 'Csv' ([System.Text.Encoding]::Default) }
+              'files' {
+                if ([System.Windows.Forms.Clipboard]::ContainsFileDropList()) {
+                  $content.files = @([System.Windows.Forms.Clipboard]::GetFileDropList())
+                }
+              }
+              'image' {
+                if ([System.Windows.Forms.Clipboard]::ContainsImage()) { $image = [System.Windows.Forms.Clipboard]::GetImage() }
+              }
+            }
+          }
+          
+          $json = ConvertTo-Json -InputObject $content -Compress -Depth 3
+          Write-Output "CLIPBOARD:$([Convert]::ToBase64String([System.Text.Encoding]::UTF8.GetBytes($json)))"
+          
+          if ($null -ne $image) {
+            # Convert image to PNG
+            $ms = New-Object System.IO.MemoryStream
+            $image.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)
+            Send-Image $ms.ToArray()
+            $ms.Dispose()
+            $image.Dispose()
+          }`);
+    const content = extractEncodedJson(result.stdout, result.stderr, 'CLIPBOARD:', 'Unable to read clipboard content');
+    if (format === 'image') {
+      content.png = result.image || result.stdout.includes('BASE64:') ? extractImage(result) : null;
+    }
+    return content;
+  }
+
+  // Windows' built-in OCR engine (Windows.Media.Ocr), so nothing leaves the
+  // machine. Uses the user's display languages unless one is given; ocr.js
+  // has already checked that it is a plain language tag.
+  async recognizeText(png, { language } = {}) {
+    const escapedLanguage = String(language ?? '').replace(/'/g, "''");
+
+    const { stdout, stderr } = await this.run(`
+          Add-Type -AssemblyName System.Runtime.WindowsRuntime
+          $null = [Windows.Media.Ocr.OcrEngine, Windows.Foundation, ContentType = WindowsRuntime]
+          $null = [Windows.Graphics.Imaging.BitmapDecoder, Windows.Graphics, ContentType = WindowsRuntime]
+          $null = [Windows.Globalization.Language, Windows.Globalization, ContentType = WindowsRuntime]
+          
+          # WinRT async operations have to be bridged to .NET tasks by hand in Windows PowerShell
+          $asTask = [System.WindowsRuntimeSystemExtensions].GetMethods() | Where-Object {
+            $_.Name -eq 'AsTask' -and $_.GetParameters().Count -eq 1 -and $_.GetParameters()[0].ParameterType.Name -eq 'IAsyncOperation\`1'
+          } | Select-Object -First 1
+          function Wait-WinRt($operation, [Type]$resultType) {
+            $task = $asTask.MakeGenericMethod($resultType).Invoke($null, @($operation))
+            $task.Wait(-1) | Out-Null
+            $task.Result
+          }
+          
+          $language = '${escapedLanguage}'
+          if ($language) {
+            $engine = [Windows.Media.Ocr.OcrEngine]::TryCreateFromLanguage([Windows.Globalization.Language]::new($language))
+          } else {
+            $engine = [Windows.Media.Ocr.OcrEngine]::TryCreateFromUserProfileLanguages()
+          }
+          if ($null -eq $engine) {
+            Write-Output "OCR_UNAVAILABLE"
+            return
+          }
+          
+          $bytes = [Convert]::FromBase64String('${png.toString('base64')}')
+          $stream = [System.IO.WindowsRuntimeStreamExtensions]::AsRandomAccessStream((New-Object System.IO.MemoryStream(,$bytes)))
+          $decoder = Wait-WinRt ([Windows.Graphics.Imaging.BitmapDecoder]::CreateAsync($stream)) ([Windows.Graphics.Imaging.BitmapDecoder])
+          $bitmap = Wait-WinRt ($decoder.GetSoftwareBitmapAsync()) ([Windows.Graphics.Imaging.SoftwareBitmap])
+          $result = Wait-WinRt ($engine.RecognizeAsync($bitmap)) ([Windows.Media.Ocr.OcrResult])
+          
+          $lines = @($result.Lines | ForEach-Object {
+            @{
+              text = $_.Text
+              words = @($_.Words | ForEach-Object {
+                $box = $_.BoundingRect
+                @{ text = $_.Text; x = [int]$box.X; y = [int]$box.Y; width = [int][Math]::Ceiling($box.Width); height = [int][Math]::Ceiling($box.Height) }
+              })
+            }
+          })
+          $json = ConvertTo-Json -InputObject @{ language = $engine.RecognizerLanguage.LanguageTag; lines = $lines } -Compress -Depth 5
+          Write-Output "OCR:$([Convert]::ToBase64String([System.Text.Encoding]::UTF8.GetBytes($json)))"`);
+
+    if (stdout.includes('OCR_UNAVAILABLE')) {
+      throw new SnapItError(
+        ErrorCode.OCR_UNAVAILABLE,
+        language
+          ? `No Windows OCR language pack is installed for "${language}"`
+          : 'Windows OCR is not available for any of the user\'s languages',
+        { language: language ?? null }
+      );
+    }
+    return extractEncodedJson(stdout, stderr, 'OCR:', 'Unable to recognize text');
+  }
+
+  async getClipboardInfo() {
+    const { stdout, stderr } = await this.run(`
+          ${CLIPBOARD_TYPES}
+          
+          $ownerProcess = $null
+          $owner = [ClipboardInfo]::GetClipboardOwner()
+          if ($owner -ne [IntPtr]::Zero) {
+            $ownerPid = 0
+            [ClipboardInfo]::GetWindowThreadProcessId($owner, [ref]$ownerPid) | Out-Null
+            try { $ownerProcess = (Get-Process -Id $ownerPid -ErrorAction Stop).ProcessName } catch { }
+          }
+          
+          $info = @{ sequence = [ClipboardInfo]::GetClipboardSequenceNumber(); ownerProcess = $ownerProcess }
+          Write-Output ("JSON:" + (ConvertTo-Json -InputObject $info -Compress))`);
+    return JSON.parse(extractMarker(stdout, stderr, 'JSON:'));
+  }
+
+  // Sets any of plain text, a CF_HTML payload and a PNG in one go, so pasting
+  // picks the richest format the target application understands. Payloads are
+  // embedded as base64 to keep quoting out of the picture.
+  async writeClipboard({ text, html, png }) {
+    const base64 = value => Buffer.from(value).toString('base64');
+
+    const { stdout, stderr } = await this.run(`
+          if ([System.Threading.Thread]::CurrentThread.GetApartmentState() -ne 'STA') {
+            throw "The clipboard can only be set from an STA thread"
+          }
+          
+          $data = New-Object System.Windows.Forms.DataObject
+          $image = $null
+          ${text === undefined ? '' : `$data.SetData([System.Windows.Forms.DataFormats]::UnicodeText, $true, [System.Text.Encoding]::UTF8.GetString([Convert]::FromBase64String('${base64(text)}')))`}
+          ${html === undefined ? '' : `
+          # CF_HTML offsets count UTF-8 bytes, so hand over the exact bytes rather than a string
+          $data.SetData('HTML Format', (New-Object System.IO.MemoryStream(,[Convert]::FromBase64String('${base64(html)}'))))`}
+          ${png === undefined ? '' : `
+          $pngStream = New-Object System.IO.MemoryStream(,[Convert]::FromBase64String('${png.toString('base64')}'))
+          $image = [System.Drawing.Image]::FromStream($pngStream)
+          $data.SetImage($image)
+          # Keeps transparency for applications that read PNG
+          $data.SetData('PNG', $false, $pngStream)`}
+          
+          # Another process may hold the clipboard open; retry for about a second
+          try {
+            [System.Windows.Forms.Clipboard]::SetDataObject($data, $true, 10, 100)
+          } catch [System.Runtime.InteropServices.ExternalException] {
+            Write-Output "CLIPBOARD_LOCKED"
+            return
+          } finally {
+            if ($null -ne $image) { $image.Dispose() }
+          }
+          Write-Output "CLIPBOARD_WRITTEN"`);
+
+    if (stdout.includes('CLIPBOARD_LOCKED')) {
+      throw new SnapItError(ErrorCode.CLIPBOARD_LOCKED, 'The clipboard is locked by another application; try again shortly');
+    }
+    if (!stdout.includes('CLIPBOARD_WRITTEN')) {
+      throwIfFailed(stdout, stderr);
+      throw new SnapItError(ErrorCode.BACKEND_FAILED, stderr.trim() || 'Unable to write clipboard content');
+    }
+  }
+}
@@ -0,0 +1,262 @@
+import { exec, spawn } from 'child_process';
+import { promisify } from 'util';
+import { ErrorCode, SnapItError } from '../errors.js';
+
+const execAsync = promisify(exec);
+
+// The clipboard only works from a single-threaded apartment, so ask for one explicitly
+const POWERSHELL_ARGS = ['-ExecutionPolicy', 'Bypass', '-NoProfile', '-NonInteractive', '-STA', '-OutputFormat', 'Text'];
+
+// Windows caps a command line at 32767 characters; longer scripts (with an
+// image to put on the clipboard, say) are read from stdin instead
+export const MAX_ENCODED_COMMAND_LENGTH = 30000;
+const STDIN_BOOTSTRAP = `
+        [Console]::InputEncoding = [System.Text.Encoding]::UTF8
+        & ([ScriptBlock]::Create([Console]::In.ReadToEnd()))
+`;
+
+// Response frames start with this marker so stray console output can be skipped
+const FRAME_MAGIC = Buffer.from('WSNP', 'ascii');
+const FRAME_HEADER_SIZE = 16;
+
+// Scripts hand image bytes to `Send-Image`. A one-shot process has to print
+// them as base64; the worker sends them as the binary part of the frame.
+const ONE_SHOT_PRELUDE = `
+        function Send-Image([byte[]]$bytes) { Write-Output "BASE64:$([Convert]::ToBase64String($bytes))" }
+`;
+
+/*
+ * Worker protocol, all integers little-endian:
+ *   request:  uint32 id, int32 scriptLength, UTF-8 script
+ *   response: "WSNP", uint32 id, int32 textLength, int32 imageLength, UTF-8 text, image bytes
+ * The text is everything the script wrote to the pipeline; the image is
+ * whatever it last passed to Send-Image.
+ */
+const WORKER_LOOP = `
+        $ProgressPreference = 'SilentlyContinue'
+        $stdin = [Console]::OpenStandardInput()
+        $stdout = [Console]::OpenStandardOutput()
+        $reader = New-Object System.IO.BinaryReader($stdin)
+        $magic = [System.Text.Encoding]::ASCII.GetBytes('WSNP')
+        
+        function global:Send-Image([byte[]]$bytes) { $global:WorkerImage = $bytes }
+        
+        while ($true) {
+          $header = $reader.ReadBytes(8)
+          if ($header.Length -lt 8) { break }
+          $id = [BitConverter]::ToUInt32($header, 0)
+          $length = [BitConverter]::ToInt32($header, 4)
+          $script = [System.Text.Encoding]::UTF8.GetString($reader.ReadBytes($length))
+          
+          $global:WorkerImage = [byte[]]@()
+          try {
+            $text = & ([ScriptBlock]::Create($script)) 2>&1 | Out-String -Width 1000000
+          } catch {
+            $text = "ERROR: $_"
+          }
+          
+          $textBytes = [System.Text.Encoding]::UTF8.GetBytes([string]$text)
+          $image = [byte[]]$global:WorkerImage
+          $stdout.Write($magic, 0, 4)
+          $stdout.Write([BitConverter]::GetBytes([uint32]$id), 0, 4)
+          $stdout.Write([BitConverter]::GetBytes([int32]$textBytes.Length), 0, 4)
+          $stdout.Write([BitConverter]::GetBytes([int32]$image.Length), 0, 4)
+          $stdout.Write($textBytes, 0, $textBytes.Length)
+          $stdout.Write($image, 0, $image.Length)
+          $stdout.Flush()
+        }
+`;
+
+function encodeCommand(script) {
+  // Convert to base64 to avoid escaping issues
+  return Buffer.from(script, 'utf16le').toString('base64');
+}
+
+function encodeRequest(id, script) {
+  const payload = Buffer.from(script, 'utf8');
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(id, 0);
+  header.writeInt32LE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Runs each script in a fresh powershell.exe. Pays the startup and Add-Type
+ * cost every time and ships images back as base64 text.
+ */
+export class OneShotRunner {
+  constructor({ timeoutMs }) {
+    this.timeoutMs = timeoutMs;
+  }
+
+  async run(script) {
+    const fullScript = ONE_SHOT_PRELUDE + script;
+    const encoded = encodeCommand(fullScript);
+    const viaStdin = encoded.length > MAX_ENCODED_COMMAND_LENGTH;
+
+    try {
+      const pending = execAsync(
+        `powershell.exe ${POWERSHELL_ARGS.join(' ')} -EncodedCommand ${viaStdin ? encodeCommand(STDIN_BOOTSTRAP) : encoded}`,
+        { maxBuffer: 50 * 1024 * 1024, timeout: this.timeoutMs } // Increase buffer for large PNG images
+      );
+      pending.child.stdin.end(viaStdin ? fullScript : '');
+      const { stdout, stderr } = await pending;
+      return { stdout, stderr, image: null };
+    } catch (error) {
+      if (error.killed) {
+        throw new SnapItError(ErrorCode.BACKEND_TIMEOUT, `PowerShell did not respond within ${this.timeoutMs}ms`, { timeoutMs: this.timeoutMs });
+      }
+      // PowerShell failed, but we still want to check stdout for our error messages
+      return { stdout: error.stdout || '', stderr: error.stderr || '', image: null };
+    }
+  }
+
+  close() {}
+}
+
+/**
+ * Keeps one powershell.exe alive and feeds it scripts over stdio, so .NET
+ * start-up and Add-Type compilation happen once instead of on every call.
+ * Requests run one at a time. A request that exceeds `timeoutMs` kills the
+ * worker; a dead worker is restarted on the next request.
+ *
+ * Only the request loop goes on the command line. The preload is far longer
+ * than Windows allows there, so it is sent as the first request and its
+ * response is dropped.
+ */
+export class PowerShellWorker {
+  constructor({ timeoutMs, preload = '', spawnProcess = spawn }) {
+    this.timeoutMs = timeoutMs;
+    this.preload = preload;
+    this.spawnProcess = spawnProcess;
+    this.process = null;
+    this.nextId = 1;
+    this.pending = null;
+    this.buffer = Buffer.alloc(0);
+    this.queue = Promise.resolve();
+  }
+
+  start() {
+    const child = this.spawnProcess('powershell.exe', [
+      ...POWERSHELL_ARGS,
+      '-EncodedCommand',
+      encodeCommand(WORKER_LOOP)
+    ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    this.process = child;
+    this.buffer = Buffer.alloc(0);
+    this.stderr = '';
+
+    child.stdout.on('data', chunk => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readFrames();
+    });
+    child.stderr.on('data', chunk => {
+      // Keep only the tail for error reports
+      this.stderr = (this.stderr + chunk.toString()).slice(-4096);
+    });
+    child.stdin.on('error', () => {
+      // Reported through the exit handler
+    });
+    child.on('error', error => this.handleExit(child, error.message));
+    child.on('exit', code => this.handleExit(child, `PowerShell worker exited with code ${code}`));
+
+    if (this.preload) {
+      child.stdin.write(encodeRequest(this.nextId++, this.preload));
+    }
+  }
+
+  handleExit(child, reason) {
+    if (this.process !== child) {
+      return;
+    }
+    this.process = null;
+    if (this.pending) {
+      const detail = this.stderr.trim() ? `: ${this.stderr.trim()}` : '';
+      this.pending.reject(new SnapItError(ErrorCode.BACKEND_FAILED, `${reason}${detail}`));
+      this.pending = null;
+    }
+  }
+
+  readFrames() {
+    for (;;) {
+      const start = this.buffer.indexOf(FRAME_MAGIC);
+      if (start === -1) {
+        // Keep a possible partial marker at the end
+        this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - FRAME_MAGIC.length + 1));
+        return;
+      }
+      if (this.buffer.length < start + FRAME_HEADER_SIZE) {
+        this.buffer = this.buffer.subarray(start);
+        return;
+      }
+
+      const id = this.buffer.readUInt32LE(start + 4);
+      const textLength = this.buffer.readInt32LE(start + 8);
+      const imageLength = this.buffer.readInt32LE(start + 12);
+      const end = start + FRAME_HEADER_SIZE + textLength + imageLength;
+      if (this.buffer.length < end) {
+        this.buffer = this.buffer.subarray(start);
+        return;
+      }
+
+      const textStart = start + FRAME_HEADER_SIZE;
+      const text = this.buffer.toString('utf8', textStart, textStart + textLength);
+      const image = imageLength > 0 ? Buffer.from(this.buffer.subarray(textStart + textLength, end)) : null;
+      this.buffer = this.buffer.subarray(end);
+
+      if (this.pending && this.pending.id === id) {
+        this.pending.resolve({ stdout: text, stderr: '', image });
+        this.pending = null;
+      }
+    }
+  }
+
+  run(script) {
+    const result = this.queue.then(() => this.send(script));
+    // Keep the queue going whether or not this request fails
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  send(script) {
+    if (!this.process) {
+      this.start();
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (this.pending?.id === id) {
+          this.pending = null;
+          this.kill();
+          reject(new SnapItError(ErrorCode.BACKEND_TIMEOUT, `PowerShell did not respond within ${this.timeoutMs}ms`, { timeoutMs: this.timeoutMs }));
+        }
+      }, this.timeoutMs);
+
+      this.pending = {
+        id,
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      };
+      this.process.stdin.write(encodeRequest(id, script));
+    });
+  }
+
+  kill() {
+    const child = this.process;
+    this.process = null;
+    child?.kill();
+  }
+
+  // Ending stdin stops the request loop; a request still running is failed
+  // now, so its timer doesn't keep Node alive
+  close() {
+    const child = this.process;
+    if (child) {
+      this.handleExit(child, 'PowerShell worker was closed');
+      child.stdin.end();
+    }
+  }
+}
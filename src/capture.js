@@ -0,0 +1,340 @@
+import sharp from 'sharp';
+import { diffImages } from './diff.js';
+import { ErrorCode, SnapItError } from './errors.js';
+import { clipRegion, formatRect, unionRects } from './geometry.js';
+import { resolveMonitor } from './monitors.js';
+import { filterWindows, selectWindow, selectWindowGroup, validateWindowBounds, windowSelector } from './windows.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeCaptureMethod(method, fellBack) {
+  if (method === 'printWindow') {
+    return ' - Captured in the background with PrintWindow';
+  }
+  return fellBack
+    ? ' - PrintWindow failed, captured from the screen after focusing the window'
+    : ' - Captured from the screen after focusing the window';
+}
+
+const WINDOW_AREA_LABELS = {
+  frame: 'Window frame',
+  client: 'Client area',
+  window: 'Window with shadow'
+};
+
+// The WINDOW_AREAS entry for a tool's clientAreaOnly and includeShadow
+function windowArea({ clientAreaOnly, includeShadow }) {
+  if (clientAreaOnly && includeShadow) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'clientAreaOnly and includeShadow can\'t both be set');
+  }
+  if (clientAreaOnly) {
+    return 'client';
+  }
+  return includeShadow ? 'window' : 'frame';
+}
+
+// Runs a fresh capture through the redactor, if there is one
+async function redactCaptured(redactor, captured, options) {
+  if (!redactor?.enabled) {
+    return { ...captured, redactions: [] };
+  }
+  const { pngBuffer, redactions } = await redactor.redactCapture(captured.pngBuffer, { method: captured.method, ...options });
+  return { ...captured, pngBuffer, redactions };
+}
+
+// Polls the window list until something matches the selector or the timeout
+// passes. Selection (and its not-found/ambiguous errors) is left to the caller.
+async function waitForWindows(backend, selector, { timeoutMs, pollIntervalMs, includeUntitled = false }) {
+  const start = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    const windows = await backend.listWindows({ includeUntitled });
+    if (filterWindows(windows, selector).length > 0 || Date.now() - start >= timeoutMs) {
+      // Only report a wait when the first look came up empty
+      return { windows, waitedMs: attempt === 0 ? 0 : Date.now() - start };
+    }
+    await sleep(pollIntervalMs);
+  }
+}
+
+// Mentions the wait in a selection error, when there was one
+function explainWait(error, { windowTimeoutMs, waitedMs }) {
+  if (windowTimeoutMs > 0 && waitedMs > 0) {
+    error.message = `Gave up after waiting ${waitedMs}ms for the window to appear.\n\n${error.message}`;
+    error.details = { ...error.details, waitedMs };
+  }
+  return error;
+}
+
+// Captures each window of a group and pastes them onto one transparent canvas
+// at their screen positions, bottom of the z-order first. Windows that close
+// mid-capture (popups often do) are skipped.
+async function captureWindowGroup(backend, group, { captureMethod, area, redactor }) {
+  const parts = [];
+  let gone = 0;
+  for (const win of group) {
+    let result;
+    try {
+      result = await backend.captureWindow(win.handle, { method: captureMethod, area });
+    } catch (error) {
+      if (error.code === ErrorCode.WINDOW_GONE) {
+        gone++;
+        continue;
+      }
+      throw error;
+    }
+    const { width, height } = await sharp(result.pngBuffer).metadata();
+    const { x, y } = result.bounds ?? win.bounds;
+    const captured = await redactCaptured(redactor, {
+      pngBuffer: result.pngBuffer,
+      method: result.method,
+      fellBack: result.fellBack,
+      note: describeCaptureMethod(result.method, result.fellBack)
+    }, { origin: { x, y }, window: win });
+    parts.push({ window: win, rect: { x, y, width, height }, ...captured });
+  }
+  if (parts.length === 0) {
+    throw new SnapItError(ErrorCode.WINDOW_GONE, 'Every window closed before it could be captured', { handles: group.map(win => win.handle) });
+  }
+
+  const bounds = unionRects(parts.map(part => part.rect));
+  const pngBuffer = await sharp({
+    create: { width: bounds.width, height: bounds.height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+  })
+    .composite(parts.map(part => ({ input: part.pngBuffer, left: part.rect.x - bounds.x, top: part.rect.y - bounds.y })))
+    .png()
+    .toBuffer();
+
+  const allPrinted = parts.every(part => part.method === 'printWindow');
+  const methodNote = describeCaptureMethod(allPrinted ? 'printWindow' : 'foreground', parts.some(part => part.fellBack));
+  const goneNote = gone > 0 ? ` (${gone} closed during the capture)` : '';
+  return {
+    pngBuffer,
+    note: ` - ${parts.length} window(s) spanning ${formatRect(bounds)}${goneNote}${methodNote}`,
+    redactions: parts.flatMap(part => part.redactions.map(redaction => ({
+      ...redaction,
+      x: redaction.x + part.rect.x - bounds.x,
+      y: redaction.y + part.rect.y - bounds.y
+    }))),
+    bounds,
+    parts
+  };
+}
+
+/**
+ * Resolves a capture target (window by `window` selector or title/process,
+ * monitor, or the whole virtual screen, optionally narrowed to a region)
+ * once, and returns a `capture()` function that grabs a fresh PNG of it
+ * each time it is called. `capture()` resolves to `{ pngBuffer, note }`,
+ * where `note` describes the region actually captured.
+ *
+ * Windows are captured with `captureMethod`: "foreground" activates the window
+ * and copies it from the screen, "background" renders it with PrintWindow and
+ * falls back to "foreground" when that fails.
+ *
+ * With `windowTimeoutMs`, a window target that doesn't exist yet is polled for
+ * every `pollIntervalMs` until it appears or the timeout passes.
+ *
+ * With `resizeTo` (any of x, y, width and height), a window target's visible
+ * frame is moved and resized once before capturing; `resized` reports the
+ * frame bounds it ended up with.
+ *
+ * With a `redactor`, every capture is redacted before it is returned.
+ * Captures carry the `redactions` applied (empty without one).
+ *
+ * Windows are captured without the invisible resize borders and drop shadow
+ * that GetWindowRect includes, unless `includeShadow` is set; with
+ * `clientAreaOnly`, only the client area is. Window captures report the
+ * screen rectangle they covered as `bounds`.
+ *
+ * With `allWindows`, the window target stands for every visible window of
+ * its process, dialogs and popups included (see selectWindowGroup). Each is
+ * captured on its own, and `capture()` also resolves to `bounds` (the
+ * screen area covered) and `parts`: `{ window, rect, pngBuffer, note,
+ * redactions }` per window, with the composite as `pngBuffer`.
+ */
+export async function prepareCapture(backend, {
+  monitor = 'all',
+  windowTitle,
+  windowIndex = 1,
+  windowIndexProvided = false,
+  processName,
+  window,
+  region,
+  captureMethod = 'foreground',
+  windowTimeoutMs = 0,
+  pollIntervalMs = 250,
+  resizeTo,
+  allWindows = false,
+  clientAreaOnly = false,
+  includeShadow = false,
+  redactor
+}) {
+  const selector = windowSelector({ windowTitle, processName, window });
+  const area = windowArea({ clientAreaOnly, includeShadow });
+  if (area !== 'frame' && !selector) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'clientAreaOnly and includeShadow need a window target (window, windowTitle or processName)');
+  }
+  if (allWindows) {
+    if (!selector) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'allWindows needs a window target (window, windowTitle or processName)');
+    }
+    if (region || resizeTo) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'allWindows can\'t be combined with region or resizeTo');
+    }
+
+    const { windows, waitedMs } = await waitForWindows(backend, selector, { timeoutMs: windowTimeoutMs, pollIntervalMs, includeUntitled: true });
+    let group;
+    try {
+      group = selectWindowGroup(windows, { ...selector, windowIndex, windowIndexProvided });
+    } catch (error) {
+      throw explainWait(error, { windowTimeoutMs, waitedMs });
+    }
+
+    return {
+      window: group[group.length - 1],
+      windows: group,
+      waitedMs,
+      capture: () => captureWindowGroup(backend, group, { captureMethod, area, redactor })
+    };
+  }
+
+  if (resizeTo !== undefined) {
+    if (!selector) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'resizeTo needs a window target (window, windowTitle or processName)');
+    }
+    validateWindowBounds(resizeTo, 'resizeTo');
+  }
+
+  if (selector) {
+    const { windows, waitedMs } = await waitForWindows(backend, selector, { timeoutMs: windowTimeoutMs, pollIntervalMs });
+
+    let target;
+    try {
+      target = selectWindow(windows, { ...selector, windowIndex, windowIndexProvided });
+    } catch (error) {
+      throw explainWait(error, { windowTimeoutMs, waitedMs });
+    }
+
+    let resized;
+    if (resizeTo) {
+      const state = await backend.manageWindow(target.handle, { action: 'setBounds', bounds: resizeTo });
+      target = { ...target, ...state };
+      // Backends that can't tell the frame apart sized the window rectangle
+      resized = state.frameBounds ?? state.bounds;
+    }
+
+    return {
+      window: target,
+      waitedMs,
+      resized,
+      async capture() {
+        const { pngBuffer, method, fellBack, bounds: captured } = await backend.captureWindow(target.handle, { method: captureMethod, area });
+        const { width, height } = await sharp(pngBuffer).metadata();
+        // Backends that can't tell where the capture came from had the whole window rectangle
+        const bounds = captured ?? { x: target.bounds.x, y: target.bounds.y, width, height };
+        const methodNote = ` - ${WINDOW_AREA_LABELS[area]} ${formatRect(bounds)}${describeCaptureMethod(method, fellBack)}`;
+        const origin = { x: bounds.x, y: bounds.y };
+        if (!region) {
+          return redactCaptured(redactor, { pngBuffer, method, bounds, note: methodNote }, { origin, window: target });
+        }
+
+        // The window may have moved since it was enumerated, so crop the capture itself
+        const { rect, wasClipped } = clipRegion(region, { x: 0, y: 0, width, height });
+        return redactCaptured(redactor, {
+          pngBuffer: await sharp(pngBuffer)
+            .extract({ left: rect.x, top: rect.y, width: rect.width, height: rect.height })
+            .png()
+            .toBuffer(),
+          method,
+          bounds: { ...rect, x: origin.x + rect.x, y: origin.y + rect.y },
+          note: ` - Region ${formatRect(rect)} of the window${wasClipped ? ' (clipped)' : ''}${methodNote}`
+        }, { origin: { x: origin.x + rect.x, y: origin.y + rect.y }, window: target });
+      }
+    };
+  }
+
+  if (monitor === 'all' && !region) {
+    return {
+      async capture() {
+        return redactCaptured(redactor, { pngBuffer: await backend.captureScreen(), note: '' }, { origin: null });
+      }
+    };
+  }
+
+  const monitors = await backend.listMonitors();
+  let bounds = monitor === 'all'
+    ? unionRects(monitors.map(candidate => candidate.bounds))
+    : resolveMonitor(monitors, monitor).bounds;
+
+  let note = '';
+  if (region) {
+    const { rect, wasClipped } = clipRegion(region, bounds, { relative: monitor !== 'all' });
+    bounds = rect;
+    note = ` - Region ${formatRect(rect)} in screen coordinates${wasClipped ? ' (clipped)' : ''}`;
+  }
+
+  return {
+    bounds,
+    async capture() {
+      return redactCaptured(redactor, { pngBuffer: await backend.captureRect(bounds), note }, { origin: { x: bounds.x, y: bounds.y } });
+    }
+  };
+}
+
+// Captures `frames` frames of a prepared target, starting one every
+// `intervalMs`. A frame that takes longer than the interval delays the next
+// one rather than being skipped, so offsets are reported per frame.
+export async function captureSequence(target, { frames, intervalMs }) {
+  const start = Date.now();
+  const captured = [];
+
+  for (let i = 0; i < frames; i++) {
+    const wait = start + i * intervalMs - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    const offsetMs = Date.now() - start;
+    const { pngBuffer, note, redactions } = await target.capture();
+    captured.push({ pngBuffer, note, redactions, offsetMs });
+  }
+
+  return captured;
+}
+
+async function isSameImage(previous, current) {
+  if (previous.equals(current)) {
+    return true;
+  }
+  try {
+    const diff = await diffImages(previous, current, { threshold: 0.02 });
+    return diff.changedPixels === 0;
+  } catch {
+    // A resized window counts as a change
+    return false;
+  }
+}
+
+// Captures a prepared target repeatedly until it has looked the same for
+// `stableForMs`, then returns the last frame. Gives up after `timeoutMs` and
+// returns the latest frame with `stable: false`.
+export async function captureWhenStable(target, { stableForMs, timeoutMs = 10000, pollIntervalMs = 250 }) {
+  const start = Date.now();
+  let latest = await target.capture();
+  let unchangedSince = Date.now();
+
+  while (Date.now() - unchangedSince < stableForMs) {
+    if (Date.now() - start >= timeoutMs) {
+      return { ...latest, stable: false, waitedMs: Date.now() - start };
+    }
+    await sleep(pollIntervalMs);
+
+    const next = await target.capture();
+    if (!(await isSameImage(latest.pngBuffer, next.pngBuffer))) {
+      unchangedSince = Date.now();
+    }
+    latest = next;
+  }
+
+  return { ...latest, stable: true, waitedMs: Date.now() - start };
+}
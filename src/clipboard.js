@@ -0,0 +1,186 @@
+// Clipboard access shared by every capture backend. Backends report the raw
+// format names on the clipboard and hand back the payload of one format at a
+// time; choosing a format for "auto", decoding and building CF_HTML and
+// translating file lists to WSL paths happen here.
+
+import { ErrorCode, SnapItError } from './errors.js';
+import { toWslPath } from './paths.js';
+
+export const CLIPBOARD_FORMATS = ['auto', 'formats', 'text', 'html', 'rtf', 'csv', 'files', 'image'];
+
+// Windows format names behind each format read_clipboard can return
+const FORMAT_NAMES = {
+  image: ['Bitmap', 'DeviceIndependentBitmap', 'PNG', 'Format17'],
+  files: ['FileDrop'],
+  text: ['UnicodeText', 'Text', 'OEMText', 'System.String'],
+  html: ['HTML Format'],
+  rtf: ['Rich Text Format'],
+  csv: ['Csv']
+};
+
+// "auto" reads the first of these that is available, images first as before
+const AUTO_ORDER = ['image', 'files', 'text', 'html', 'rtf', 'csv'];
+
+const CF_HTML_FRAGMENT_START = '<!--StartFragment-->';
+const CF_HTML_FRAGMENT_END = '<!--EndFragment-->';
+
+// The readable formats among the raw Windows format names, in "auto" order
+export function availableFormats(formatNames) {
+  return AUTO_ORDER.filter(format => FORMAT_NAMES[format].some(name => formatNames.includes(name)));
+}
+
+/**
+ * Decodes the "HTML Format" (CF_HTML) clipboard payload: a header of
+ * `Key:value` lines whose StartHTML/EndHTML and StartFragment/EndFragment
+ * values are UTF-8 byte offsets into the whole payload. Falls back to the
+ * fragment comments when the offsets are missing or wrong, which some
+ * applications get wrong.
+ */
+export function parseCfHtml(raw) {
+  const bytes = Buffer.from(raw, 'utf8');
+  const header = {};
+  for (const line of raw.split(/\r?\n/)) {
+    const match = line.match(/^([A-Za-z]+):(.*)$/);
+    if (!match) {
+      break;
+    }
+    header[match[1]] = match[2].trim();
+  }
+
+  const slice = (startKey, endKey) => {
+    const start = Number.parseInt(header[startKey], 10);
+    const end = Number.parseInt(header[endKey], 10);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > bytes.length) {
+      return null;
+    }
+    return bytes.toString('utf8', start, end);
+  };
+
+  const markupStart = raw.indexOf('<');
+  const html = slice('StartHTML', 'EndHTML') ?? (markupStart === -1 ? '' : raw.slice(markupStart));
+  let fragment = slice('StartFragment', 'EndFragment');
+  if (fragment === null) {
+    const start = html.indexOf(CF_HTML_FRAGMENT_START);
+    const end = html.indexOf(CF_HTML_FRAGMENT_END);
+    fragment = start !== -1 && end > start ? html.slice(start + CF_HTML_FRAGMENT_START.length, end) : html;
+  }
+
+  return { fragment, html, sourceUrl: header.SourceURL || null };
+}
+
+/**
+ * Wraps an HTML fragment in a CF_HTML payload with correct byte offsets, the
+ * inverse of `parseCfHtml`.
+ */
+export function buildCfHtml(fragment, { sourceUrl } = {}) {
+  const prefix = `<html><body>\r\n${CF_HTML_FRAGMENT_START}`;
+  const suffix = `${CF_HTML_FRAGMENT_END}\r\n</body></html>`;
+  const headerFor = offsets => [
+    'Version:0.9',
+    `StartHTML:${String(offsets.startHtml).padStart(10, '0')}`,
+    `EndHTML:${String(offsets.endHtml).padStart(10, '0')}`,
+    `StartFragment:${String(offsets.startFragment).padStart(10, '0')}`,
+    `EndFragment:${String(offsets.endFragment).padStart(10, '0')}`,
+    ...(sourceUrl ? [`SourceURL:${sourceUrl}`] : []),
+    ''
+  ].join('\r\n');
+
+  // Every offset is zero-padded to the same width, so the header length doesn't depend on them
+  const startHtml = Buffer.byteLength(headerFor({ startHtml: 0, endHtml: 0, startFragment: 0, endFragment: 0 }));
+  const startFragment = startHtml + Buffer.byteLength(prefix);
+  const endFragment = startFragment + Buffer.byteLength(fragment);
+  const endHtml = endFragment + Buffer.byteLength(suffix);
+
+  return headerFor({ startHtml, endHtml, startFragment, endFragment }) + prefix + fragment + suffix;
+}
+
+function toWslFile(windowsPath, pathOptions) {
+  try {
+    return { windowsPath, wslPath: toWslPath(windowsPath, pathOptions) };
+  } catch {
+    // Network shares have no WSL path
+    return { windowsPath, wslPath: null };
+  }
+}
+
+/**
+ * Reads one format from the clipboard, picking the best available one for
+ * "auto". Resolves to `{ format, available, formats }` plus the content:
+ * `text`, `html` ({ fragment, html, sourceUrl }), `rtf`, `csv`, `files`
+ * ([{ windowsPath, wslPath }]) or `png`. "formats" only enumerates.
+ */
+export async function readClipboard(backend, format, pathOptions) {
+  if (!CLIPBOARD_FORMATS.includes(format)) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Unsupported clipboard format: ${format}`, { format });
+  }
+
+  let requested = format;
+  if (format === 'auto') {
+    const { formats } = await backend.readClipboard('formats');
+    const available = availableFormats(formats);
+    if (available.length === 0) {
+      throw formats.length === 0
+        ? new SnapItError(ErrorCode.CLIPBOARD_EMPTY, 'Clipboard is empty', { format })
+        : new SnapItError(ErrorCode.CLIPBOARD_FORMAT_UNAVAILABLE, 'The clipboard holds no format read_clipboard can return', { format, formats });
+    }
+    requested = available[0];
+  }
+
+  const raw = await backend.readClipboard(requested);
+  const result = { format: requested, available: availableFormats(raw.formats), formats: raw.formats };
+  if (requested === 'formats') {
+    return result;
+  }
+
+  const payload = requested === 'image' ? raw.png : raw[requested];
+  if (payload === undefined || payload === null) {
+    if (raw.formats.length === 0) {
+      throw new SnapItError(ErrorCode.CLIPBOARD_EMPTY, 'Clipboard is empty', { format });
+    }
+    throw new SnapItError(
+      ErrorCode.CLIPBOARD_FORMAT_UNAVAILABLE,
+      `No ${requested} content in clipboard (available: ${result.available.join(', ') || 'none'})`,
+      { format, available: result.available, formats: raw.formats }
+    );
+  }
+
+  if (requested === 'html') {
+    return { ...result, html: parseCfHtml(payload) };
+  }
+  if (requested === 'files') {
+    return { ...result, files: payload.map(file => toWslFile(file, pathOptions)) };
+  }
+  if (requested === 'image') {
+    return { ...result, png: payload };
+  }
+  return { ...result, [requested]: payload };
+}
+
+// A rough plain-text rendering of an HTML fragment, for applications that
+// can't paste HTML
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Puts text, an HTML fragment or a PNG on the clipboard. HTML is wrapped in
+ * a CF_HTML header and accompanied by plain text (`text`, or the fragment
+ * with its tags stripped).
+ */
+export async function writeClipboard(backend, { text, html, png }) {
+  if (html !== undefined) {
+    return backend.writeClipboard({ text: text ?? htmlToText(html), html: buildCfHtml(html) });
+  }
+  return backend.writeClipboard({ text, png });
+}
@@ -0,0 +1,182 @@
+import sharp from 'sharp';
+import { ErrorCode, SnapItError } from './errors.js';
+
+// Largest possible YIQ color distance, used to normalize thresholds to 0..1
+const MAX_YIQ_DELTA = 35215;
+
+// Changed pixels are grouped into boxes on a coarse grid so that anti-aliasing
+// and text rendering don't produce thousands of one-pixel regions
+const CELL_SIZE = 8;
+const MAX_REGIONS = 50;
+
+function yiqDelta(a, b, i) {
+  const dr = a[i] - b[i];
+  const dg = a[i + 1] - b[i + 1];
+  const db = a[i + 2] - b[i + 2];
+  const y = dr * 0.29889531 + dg * 0.58662247 + db * 0.11448223;
+  const iq = dr * 0.59597799 - dg * 0.27417610 - db * 0.32180189;
+  const q = dr * 0.21147017 - dg * 0.52261711 + db * 0.31114694;
+  return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+}
+
+function isIgnored(x, y, ignoreRegions) {
+  return ignoreRegions.some(rect => x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height);
+}
+
+// Connected groups of changed grid cells (8-neighbourhood), each shrunk to the
+// changed pixels it contains
+function findChangedRegions(cellBoxes, columns, rows) {
+  const visited = new Uint8Array(columns * rows);
+  const regions = [];
+
+  for (let start = 0; start < cellBoxes.length; start++) {
+    if (!cellBoxes[start] || visited[start]) {
+      continue;
+    }
+
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+    let changedPixels = 0;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const box = cellBoxes[cell];
+      left = Math.min(left, box.left);
+      top = Math.min(top, box.top);
+      right = Math.max(right, box.right);
+      bottom = Math.max(bottom, box.bottom);
+      changedPixels += box.count;
+
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      for (let ny = Math.max(0, cy - 1); ny <= Math.min(rows - 1, cy + 1); ny++) {
+        for (let nx = Math.max(0, cx - 1); nx <= Math.min(columns - 1, cx + 1); nx++) {
+          const neighbour = ny * columns + nx;
+          if (cellBoxes[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    regions.push({ x: left, y: top, width: right - left + 1, height: bottom - top + 1, changedPixels });
+  }
+
+  return regions.sort((a, b) => b.changedPixels - a.changedPixels);
+}
+
+/**
+ * Compares two images of the same size pixel by pixel using a perceptual
+ * (YIQ) color distance. `threshold` is 0..1: 0 flags any change, 0.1 ignores
+ * compression noise and subtle anti-aliasing. Pixels inside `ignoreRegions`
+ * never count as changed.
+ *
+ * Resolves to the changed-pixel count and percentage, the changed regions
+ * (largest first, at most 50) and a boolean mask of changed pixels.
+ */
+export async function diffImages(baselineBuffer, currentBuffer, { threshold = 0.1, ignoreRegions = [] } = {}) {
+  if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'threshold must be a number between 0 and 1');
+  }
+
+  const [baseline, current] = await Promise.all([baselineBuffer, currentBuffer].map(buffer =>
+    sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true })
+  ));
+
+  const { width, height } = baseline.info;
+  if (current.info.width !== width || current.info.height !== height) {
+    throw new SnapItError(
+      ErrorCode.IMAGE_SIZE_MISMATCH,
+      `Images differ in size: baseline is ${width}x${height}, current is ${current.info.width}x${current.info.height}`,
+      {
+        baseline: { width, height },
+        current: { width: current.info.width, height: current.info.height }
+      }
+    );
+  }
+
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  const columns = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  const cellBoxes = new Array(columns * rows).fill(null);
+  const mask = new Uint8Array(width * height);
+  let changedPixels = 0;
+  let comparedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (ignoreRegions.length > 0 && isIgnored(x, y, ignoreRegions)) {
+        continue;
+      }
+      comparedPixels++;
+
+      const offset = (y * width + x) * 4;
+      if (yiqDelta(baseline.data, current.data, offset) <= maxDelta) {
+        continue;
+      }
+
+      mask[y * width + x] = 1;
+      changedPixels++;
+
+      const cell = Math.floor(y / CELL_SIZE) * columns + Math.floor(x / CELL_SIZE);
+      const box = cellBoxes[cell];
+      if (box) {
+        box.left = Math.min(box.left, x);
+        box.right = Math.max(box.right, x);
+        box.top = Math.min(box.top, y);
+        box.bottom = Math.max(box.bottom, y);
+        box.count++;
+      } else {
+        cellBoxes[cell] = { left: x, right: x, top: y, bottom: y, count: 1 };
+      }
+    }
+  }
+
+  const regions = findChangedRegions(cellBoxes, columns, rows);
+
+  return {
+    width,
+    height,
+    changedPixels,
+    changedPercent: comparedPixels === 0 ? 0 : Math.round((changedPixels / comparedPixels) * 10000) / 100,
+    regions: regions.slice(0, MAX_REGIONS),
+    totalRegions: regions.length,
+    mask
+  };
+}
+
+// Draws the diff over the current image: changed pixels tinted red, changed
+// regions outlined, ignored regions greyed out
+export async function renderDiff(currentBuffer, diff, { ignoreRegions = [] } = {}) {
+  const { width, height, mask } = diff;
+
+  const overlay = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) {
+      overlay[i * 4] = 255;
+      overlay[i * 4 + 3] = 140;
+    }
+  }
+
+  const shapes = [
+    ...ignoreRegions.map(rect =>
+      `<rect x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" fill="#808080" fill-opacity="0.6"/>`),
+    ...diff.regions.map(rect =>
+      `<rect x="${rect.x - 2}" y="${rect.y - 2}" width="${rect.width + 4}" height="${rect.height + 4}" fill="none" stroke="#ff00ff" stroke-width="3"/>`)
+  ];
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+
+  return sharp(currentBuffer)
+    .ensureAlpha()
+    .composite([
+      { input: overlay, raw: { width, height, channels: 4 } },
+      { input: Buffer.from(svg) }
+    ])
+    .png()
+    .toBuffer();
+}
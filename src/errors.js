@@ -0,0 +1,73 @@
+// Typed errors shared by the tools and backends. Every failure that reaches an
+// MCP client carries one of these codes, so callers can branch on the kind of
+// failure instead of parsing the message. Codes are part of the public
+// interface: add new ones, but don't rename existing ones.
+export const ErrorCode = Object.freeze({
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  WINDOW_NOT_FOUND: 'WINDOW_NOT_FOUND',
+  WINDOW_AMBIGUOUS: 'WINDOW_AMBIGUOUS',
+  WINDOW_GONE: 'WINDOW_GONE',
+  WINDOW_PROTECTED: 'WINDOW_PROTECTED',
+  ELEMENT_NOT_FOUND: 'ELEMENT_NOT_FOUND',
+  MONITOR_NOT_FOUND: 'MONITOR_NOT_FOUND',
+  MONITOR_OUT_OF_RANGE: 'MONITOR_OUT_OF_RANGE',
+  REGION_OUT_OF_BOUNDS: 'REGION_OUT_OF_BOUNDS',
+  IMAGE_SIZE_MISMATCH: 'IMAGE_SIZE_MISMATCH',
+  CLIPBOARD_EMPTY: 'CLIPBOARD_EMPTY',
+  CLIPBOARD_FORMAT_UNAVAILABLE: 'CLIPBOARD_FORMAT_UNAVAILABLE',
+  CLIPBOARD_LOCKED: 'CLIPBOARD_LOCKED',
+  PATH_UNREACHABLE: 'PATH_UNREACHABLE',
+  FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+  OCR_UNAVAILABLE: 'OCR_UNAVAILABLE',
+  REDACTION_FAILED: 'REDACTION_FAILED',
+  INPUT_NOT_ALLOWED: 'INPUT_NOT_ALLOWED',
+  INPUT_FAILED: 'INPUT_FAILED',
+  BACKEND_TIMEOUT: 'BACKEND_TIMEOUT',
+  BACKEND_FAILED: 'BACKEND_FAILED',
+  UNKNOWN_TOOL: 'UNKNOWN_TOOL',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+/**
+ * An error with a stable `code` from `ErrorCode` and machine-readable
+ * `details` (for example the candidate windows of an ambiguous match).
+ */
+export class SnapItError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SnapItError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Errors thrown by Node itself (a missing file, mostly) still get a code
+function classify(error) {
+  if (error instanceof SnapItError) {
+    return { code: error.code, details: error.details };
+  }
+  if (error?.code === 'ENOENT') {
+    return { code: ErrorCode.FILE_NOT_FOUND, details: { path: error.path } };
+  }
+  return { code: ErrorCode.INTERNAL_ERROR, details: {} };
+}
+
+/**
+ * Turns an error into an MCP tool result with `isError` set. The text is a
+ * JSON object `{ error: { code, message, details } }`, where `message` reads
+ * "Failed to <action>: ...".
+ */
+export function toolError(error, action) {
+  const { code, details } = classify(error);
+  const message = action ? `Failed to ${action}: ${error.message}` : error.message;
+
+  return {
+    isError: true,
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({ error: { code, message, details } }, null, 2)
+      }
+    ]
+  };
+}
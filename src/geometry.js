@@ -0,0 +1,60 @@
+// Rectangles are { x, y, width, height } in physical pixels.
+
+import { ErrorCode, SnapItError } from './errors.js';
+
+export function unionRects(rects) {
+  if (rects.length === 0) {
+    throw new Error('No rectangles to combine');
+  }
+  const left = Math.min(...rects.map(rect => rect.x));
+  const top = Math.min(...rects.map(rect => rect.y));
+  const right = Math.max(...rects.map(rect => rect.x + rect.width));
+  const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+export function validateRegion(region) {
+  if (typeof region !== 'object' || region === null) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'region must be an object with x, y, width and height');
+  }
+  for (const key of ['x', 'y', 'width', 'height']) {
+    if (!Number.isInteger(region[key])) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `region.${key} must be an integer`);
+    }
+  }
+  if (region.width <= 0 || region.height <= 0) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'region width and height must be greater than 0');
+  }
+}
+
+// Clips a region to `bounds`. A relative region is offset from the top-left
+// of `bounds` first; an absolute one is already in the same space. Throws
+// when nothing of the region is left.
+export function clipRegion(region, bounds, { relative = true } = {}) {
+  validateRegion(region);
+
+  const originX = relative ? bounds.x : 0;
+  const originY = relative ? bounds.y : 0;
+  const left = Math.max(originX + region.x, bounds.x);
+  const top = Math.max(originY + region.y, bounds.y);
+  const right = Math.min(originX + region.x + region.width, bounds.x + bounds.width);
+  const bottom = Math.min(originY + region.y + region.height, bounds.y + bounds.height);
+
+  if (right <= left || bottom <= top) {
+    throw new SnapItError(
+      ErrorCode.REGION_OUT_OF_BOUNDS,
+      `Region ${formatRect(region)} lies outside the ${bounds.width}x${bounds.height} capture target`,
+      { region, bounds }
+    );
+  }
+
+  const clipped = { x: left, y: top, width: right - left, height: bottom - top };
+  return {
+    rect: clipped,
+    wasClipped: clipped.width !== region.width || clipped.height !== region.height
+  };
+}
+
+export function formatRect({ x, y, width, height }) {
+  return `${width}x${height} at (${x}, ${y})`;
+}
@@ -0,0 +1,289 @@
+// Opt-in clipboard history. A watcher polls the clipboard's change counter
+// and records each new copy (text, an image thumbnail or a file list) into a
+// bounded history that is kept in memory and, optionally, in a file.
+
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { availableFormats, readClipboard } from './clipboard.js';
+import { ErrorCode, SnapItError } from './errors.js';
+
+export const HISTORY_URI = 'clipboard://history';
+
+const DEFAULT_MAX_ENTRIES = 20;
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const THUMBNAIL_SIZE = 256;
+const MAX_TEXT_LENGTH = 64 * 1024;
+const PREVIEW_LENGTH = 200;
+
+// Password managers and similar apps mark their copies with these so that
+// clipboard monitors leave them alone
+const PRIVATE_FORMATS = ['ExcludeClipboardContentFromMonitorProcessing', 'Clipboard Viewer Ignore'];
+
+// Text wins: an image copied alongside text (Excel cells, say) is usually just a rendering of it
+const HISTORY_ORDER = ['text', 'image', 'files'];
+
+/**
+ * Reads the history settings from the environment, or returns null when
+ * WSLSNAPIT_CLIPBOARD_HISTORY isn't "1". Throws on a setting that isn't a
+ * positive integer, so the server refuses to start rather than guess.
+ */
+export function historyOptionsFromEnv(env = process.env) {
+  if (env.WSLSNAPIT_CLIPBOARD_HISTORY !== '1') {
+    return null;
+  }
+  const number = (name, fallback) => {
+    const value = env[name];
+    if (!value) {
+      return fallback;
+    }
+    if (!/^\d+$/.test(value.trim()) || Number(value) <= 0) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `${name} must be a positive integer, not "${value}"`, { [name]: value });
+    }
+    return Number(value);
+  };
+
+  return {
+    maxEntries: number('WSLSNAPIT_CLIPBOARD_HISTORY_MAX', DEFAULT_MAX_ENTRIES),
+    ttlMs: number('WSLSNAPIT_CLIPBOARD_HISTORY_TTL_MS', DEFAULT_TTL_MS),
+    pollIntervalMs: number('WSLSNAPIT_CLIPBOARD_HISTORY_POLL_MS', DEFAULT_POLL_INTERVAL_MS),
+    excludeProcesses: (env.WSLSNAPIT_CLIPBOARD_HISTORY_EXCLUDE || '').split(',').map(name => name.trim()).filter(Boolean),
+    storePath: env.WSLSNAPIT_CLIPBOARD_HISTORY_FILE || null
+  };
+}
+
+// The fields entries() and the resources rely on, as save() writes them
+function isStoredEntry(entry) {
+  if (typeof entry !== 'object' || entry === null || typeof entry.id !== 'string' || Number.isNaN(Date.parse(entry.copiedAt))) {
+    return false;
+  }
+  switch (entry.format) {
+    case 'text':
+      return typeof entry.text === 'string';
+    case 'image':
+      return typeof entry.thumbnail === 'string';
+    case 'files':
+      return Array.isArray(entry.files);
+    default:
+      return false;
+  }
+}
+
+function normalizeProcessName(name) {
+  return String(name).replace(/\.exe$/i, '').toLowerCase();
+}
+
+/**
+ * Records clipboard changes made while the watcher runs; whatever was on the
+ * clipboard when it started is not recorded. Copies from excluded processes
+ * or marked private are skipped, at most `maxEntries` are kept and entries
+ * expire after `ttlMs`. Images go through `redactor`, if given. `onChange`
+ * is called whenever entries are added or expire.
+ */
+export class ClipboardHistory {
+  constructor(backend, {
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    ttlMs = DEFAULT_TTL_MS,
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    excludeProcesses = [],
+    storePath = null,
+    pathOptions,
+    redactor = null,
+    onChange = () => {}
+  } = {}) {
+    this.backend = backend;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.excluded = new Set(excludeProcesses.map(normalizeProcessName));
+    this.storePath = storePath;
+    this.pathOptions = pathOptions;
+    this.redactor = redactor;
+    this.onChange = onChange;
+    this.history = [];
+    this.nextId = 1;
+    this.lastSequence = undefined;
+    this.timer = null;
+  }
+
+  async start() {
+    await this.load();
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule() {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        // The clipboard may change or be locked mid-read; try again next time
+        console.error(`Clipboard history: ${error.message}`);
+      }
+      if (this.timer) {
+        this.schedule();
+      }
+    }, this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  async poll() {
+    const { sequence, ownerProcess } = await this.backend.getClipboardInfo();
+    let changed = this.prune();
+
+    if (sequence !== this.lastSequence) {
+      const isFirstLook = this.lastSequence === undefined;
+      this.lastSequence = sequence;
+      if (!isFirstLook && await this.record(ownerProcess)) {
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.save();
+      this.onChange();
+    }
+  }
+
+  async record(ownerProcess) {
+    if (ownerProcess && this.excluded.has(normalizeProcessName(ownerProcess))) {
+      return false;
+    }
+
+    const { formats } = await this.backend.readClipboard('formats');
+    if (formats.some(name => PRIVATE_FORMATS.includes(name))) {
+      return false;
+    }
+    const available = availableFormats(formats);
+    const format = HISTORY_ORDER.find(candidate => available.includes(candidate));
+    if (!format) {
+      return false;
+    }
+
+    const content = await readClipboard(this.backend, format, this.pathOptions);
+    const entry = {
+      id: String(this.nextId++),
+      copiedAt: new Date().toISOString(),
+      sourceProcess: ownerProcess ?? null,
+      format
+    };
+
+    if (format === 'text') {
+      entry.text = content.text.slice(0, MAX_TEXT_LENGTH);
+      entry.truncated = content.text.length > MAX_TEXT_LENGTH;
+    } else if (format === 'image') {
+      // Redact at full size, before the thumbnail blurs away the text OCR needs
+      const png = this.redactor
+        ? (await this.redactor.redactImage(content.png, { sourceProcess: ownerProcess })).pngBuffer
+        : content.png;
+      const { width, height } = await sharp(png).metadata();
+      entry.width = width;
+      entry.height = height;
+      entry.thumbnail = await sharp(png)
+        .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+    } else {
+      entry.files = content.files;
+    }
+
+    this.history.unshift(entry);
+    this.history.splice(this.maxEntries);
+    return true;
+  }
+
+  isExpired(entry) {
+    return Date.now() - Date.parse(entry.copiedAt) > this.ttlMs;
+  }
+
+  // Drops expired entries; returns whether any were dropped
+  prune() {
+    const before = this.history.length;
+    this.history = this.history.filter(entry => !this.isExpired(entry));
+    return this.history.length !== before;
+  }
+
+  // Newest first, skipping anything that expired since the last poll
+  entries() {
+    return this.history.filter(entry => !this.isExpired(entry));
+  }
+
+  get(id) {
+    return this.entries().find(entry => entry.id === id) ?? null;
+  }
+
+  // A store file that can't be read or doesn't look like one we wrote
+  // (truncated, hand-edited) is reported and replaced on the next copy,
+  // rather than keeping the server from starting
+  async load() {
+    if (!this.storePath) {
+      return;
+    }
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Clipboard history: ignoring ${this.storePath}: ${error.message}`);
+      }
+      return;
+    }
+    if (!Array.isArray(stored?.entries) || !stored.entries.every(isStoredEntry)) {
+      console.error(`Clipboard history: ignoring ${this.storePath}: not a clipboard history file`);
+      return;
+    }
+
+    this.history = stored.entries
+      .map(entry => (entry.thumbnail ? { ...entry, thumbnail: Buffer.from(entry.thumbnail, 'base64') } : entry))
+      .slice(0, this.maxEntries);
+    this.nextId = Math.max(0, ...this.history.map(entry => Number(entry.id))) + 1;
+    if (this.prune()) {
+      await this.save();
+    }
+  }
+
+  async save() {
+    if (!this.storePath) {
+      return;
+    }
+    const entries = this.history.map(entry => (entry.thumbnail ? { ...entry, thumbnail: entry.thumbnail.toString('base64') } : entry));
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    // Clipboard contents can be sensitive, so keep the file private
+    await fs.writeFile(this.storePath, JSON.stringify({ entries }), { mode: 0o600 });
+  }
+}
+
+export function entryUri(entry) {
+  return `${HISTORY_URI}/${entry.id}`;
+}
+
+// Metadata plus a short preview, for the history index
+export function summarizeEntry(entry) {
+  return {
+    id: entry.id,
+    uri: entryUri(entry),
+    copiedAt: entry.copiedAt,
+    sourceProcess: entry.sourceProcess,
+    format: entry.format,
+    ...(entry.format === 'text' && { preview: entry.text.slice(0, PREVIEW_LENGTH), length: entry.text.length, truncated: entry.truncated }),
+    ...(entry.format === 'image' && { width: entry.width, height: entry.height }),
+    ...(entry.format === 'files' && { fileCount: entry.files.length })
+  };
+}
+
+// The entry itself as MCP resource contents: text, a PNG thumbnail or a JSON file list
+export function entryContents(entry) {
+  const uri = entryUri(entry);
+  if (entry.format === 'text') {
+    return { uri, mimeType: 'text/plain', text: entry.text };
+  }
+  if (entry.format === 'image') {
+    return { uri, mimeType: 'image/png', blob: entry.thumbnail.toString('base64') };
+  }
+  return { uri, mimeType: 'application/json', text: JSON.stringify(entry.files, null, 2) };
+}
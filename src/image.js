@@ -0,0 +1,215 @@
+import sharp from 'sharp';
+import { ErrorCode, SnapItError } from './errors.js';
+
+export const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+export const DEFAULT_MAX_BYTES = 950 * 1024; // Keeps base64 payloads under the 1MB tool result limit
+export const DEFAULT_MAX_DIMENSION = 1920;
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Progressive downscale steps as fractions of maxDimension (1920 → 1280 → 800 by default)
+const SCALE_LADDER = [1, 2 / 3, 5 / 12];
+
+// Qualities used for the second and third ladder steps, mirroring the original JPEG ladder
+const STEP_QUALITY = [null, 60, 50];
+
+function encode(image, format, { quality, lossless = false }) {
+  if (format === 'png') {
+    return image.png({ compressionLevel: 9 }).toBuffer();
+  }
+  if (format === 'webp') {
+    return image.webp(lossless ? { lossless: true } : { quality }).toBuffer();
+  }
+  return image.jpeg({ quality, mozjpeg: true }).toBuffer();
+}
+
+function resizedPipeline(pngBuffer, metadata, dimension) {
+  const image = sharp(pngBuffer);
+  if (metadata.width > dimension || metadata.height > dimension) {
+    return { image: image.resize({ width: dimension, height: dimension, fit: 'inside' }), wasResized: true };
+  }
+  return { image, wasResized: false };
+}
+
+async function finish(buffer, format, { quality = null, lossless, wasResized, fellBack = false }) {
+  const { width, height } = await sharp(buffer).metadata();
+  return { buffer, format, mimeType: MIME_TYPES[format], quality, lossless, width, height, wasResized, fellBack };
+}
+
+async function encodeLossy(pngBuffer, metadata, format, { quality, maxBytes, maxDimension, fellBack }) {
+  let result;
+
+  for (let step = 0; step < SCALE_LADDER.length; step++) {
+    const { image, wasResized } = resizedPipeline(pngBuffer, metadata, Math.round(maxDimension * SCALE_LADDER[step]));
+    let stepQuality = step === 0 ? quality : Math.min(quality, STEP_QUALITY[step]);
+    let buffer = await encode(image.clone(), format, { quality: stepQuality });
+
+    // On the first step, progressively reduce quality before giving up resolution
+    while (step === 0 && buffer.length > maxBytes && stepQuality > 20) {
+      stepQuality -= 10;
+      buffer = await encode(image.clone(), format, { quality: stepQuality });
+    }
+
+    result = { buffer, quality: stepQuality, wasResized };
+    if (buffer.length <= maxBytes) {
+      break;
+    }
+  }
+
+  // Return the smallest attempt even if it is still over budget
+  return finish(result.buffer, format, { quality: result.quality, lossless: false, wasResized: result.wasResized, fellBack });
+}
+
+async function encodeLossless(pngBuffer, metadata, formats, { maxBytes, maxDimension }) {
+  for (const scale of SCALE_LADDER) {
+    const { image, wasResized } = resizedPipeline(pngBuffer, metadata, Math.round(maxDimension * scale));
+    for (const format of formats) {
+      const buffer = await encode(image.clone(), format, { lossless: true });
+      if (buffer.length <= maxBytes) {
+        return finish(buffer, format, { lossless: true, wasResized });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Shared post-processing for every image the server returns inline. Fits the
+ * PNG into `maxBytes` by trading quality, then resolution, in a fixed ladder.
+ *
+ * PNG output stays lossless and only gives up resolution. `preserveText`
+ * tries lossless PNG and WebP at each size before any lossy encoding, which
+ * keeps small UI text readable. When no lossless encoding fits, both fall
+ * back to the lossy ladder (WebP for PNG requests) and flag `fellBack`.
+ */
+export async function processImage(pngBuffer, {
+  format = 'jpeg',
+  quality = 80,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxDimension = DEFAULT_MAX_DIMENSION,
+  preserveText = false
+} = {}) {
+  if (!IMAGE_FORMATS.includes(format)) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Unsupported image format "${format}" (expected one of: ${IMAGE_FORMATS.join(', ')})`);
+  }
+  if (!Number.isInteger(maxBytes) || maxBytes <= 0) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'maxBytes must be a positive integer');
+  }
+  if (!Number.isInteger(maxDimension) || maxDimension < 16) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'maxDimension must be an integer of at least 16');
+  }
+
+  const metadata = await sharp(pngBuffer).metadata();
+
+  if (preserveText || format === 'png') {
+    const losslessFormats = preserveText ? ['png', 'webp'] : ['png'];
+    const lossless = await encodeLossless(pngBuffer, metadata, losslessFormats, { maxBytes, maxDimension });
+    if (lossless) {
+      return lossless;
+    }
+  }
+
+  const lossyFormat = format === 'png' ? 'webp' : format;
+  return encodeLossy(pngBuffer, metadata, lossyFormat, {
+    quality,
+    maxBytes,
+    maxDimension,
+    fellBack: preserveText || format === 'png'
+  });
+}
+
+// Human-readable summary used in tool responses, e.g. "(412KB, JPEG quality: 70%) - Resized to 1280px width"
+export function describeImage(result) {
+  const sizeInKB = Math.round(result.buffer.length / 1024);
+  const encoding = result.lossless
+    ? `${result.format.toUpperCase()} lossless`
+    : `${result.format.toUpperCase()} quality: ${result.quality}%`;
+  const fallback = result.fellBack ? ', no lossless encoding fit the size budget' : '';
+
+  let description = `(${sizeInKB}KB, ${encoding}${fallback})`;
+  if (result.wasResized) {
+    description += ` - Resized to ${result.width}px width`;
+  }
+  return description;
+}
+
+export const ANIMATION_FORMATS = ['gif', 'webp'];
+
+// Scales every frame to the same size, fitting the first frame inside `dimension`
+async function normalizeFrames(frames, dimension) {
+  const { width, height } = await sharp(frames[0]).metadata();
+  const scale = Math.min(1, dimension / Math.max(width, height));
+  const frameWidth = Math.max(1, Math.round(width * scale));
+  const frameHeight = Math.max(1, Math.round(height * scale));
+
+  return Promise.all(frames.map(frame =>
+    sharp(frame)
+      .resize({ width: frameWidth, height: frameHeight, fit: 'contain', background: '#000000' })
+      .png()
+      .toBuffer()
+  ));
+}
+
+/**
+ * Tiles frames left to right, top to bottom into a single PNG whose longest
+ * side stays around `maxDimension`. One row of `frames.length` columns gives a
+ * filmstrip.
+ */
+export async function buildContactSheet(frames, { columns = Math.ceil(Math.sqrt(frames.length)), maxDimension = DEFAULT_MAX_DIMENSION } = {}) {
+  const rows = Math.ceil(frames.length / columns);
+  const tileDimension = Math.max(16, Math.floor(maxDimension / Math.max(columns, rows)));
+  const tiles = await normalizeFrames(frames, tileDimension);
+
+  return sharp(tiles, { join: { across: columns, shim: 4, background: '#202020' } }).png().toBuffer();
+}
+
+/**
+ * Assembles frames into an animated GIF or WebP that fits `maxBytes`, stepping
+ * down through the same scale ladder as still images and then trading colors
+ * (GIF) or quality (WebP).
+ */
+export async function encodeAnimation(frames, { format = 'gif', delays, maxBytes = DEFAULT_MAX_BYTES, maxDimension = DEFAULT_MAX_DIMENSION } = {}) {
+  if (!ANIMATION_FORMATS.includes(format)) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Unsupported animation format "${format}" (expected one of: ${ANIMATION_FORMATS.join(', ')})`);
+  }
+
+  const attempts = format === 'gif'
+    ? [{ colours: 256 }, { colours: 64 }]
+    : [{ quality: 75 }, { quality: 50 }];
+
+  let result;
+  for (const scale of SCALE_LADDER) {
+    const normalized = await normalizeFrames(frames, Math.round(maxDimension * scale));
+    for (const attempt of attempts) {
+      const animation = sharp(normalized, { join: { animated: true } });
+      const buffer = format === 'gif'
+        ? await animation.gif({ delay: delays, loop: 0, colours: attempt.colours }).toBuffer()
+        : await animation.webp({ delay: delays, loop: 0, quality: attempt.quality }).toBuffer();
+
+      result = { buffer, ...attempt };
+      if (buffer.length <= maxBytes) {
+        break;
+      }
+    }
+    if (result.buffer.length <= maxBytes) {
+      break;
+    }
+  }
+
+  // Return the smallest attempt even if it is still over budget
+  // Encoders may merge identical frames, leaving a single page without pageHeight
+  const { width, height, pageHeight } = await sharp(result.buffer, { animated: true }).metadata();
+  return {
+    buffer: result.buffer,
+    format,
+    mimeType: format === 'gif' ? 'image/gif' : MIME_TYPES.webp,
+    width,
+    height: pageHeight ?? height,
+    frames: frames.length,
+    overBudget: result.buffer.length > maxBytes
+  };
+}
@@ -0,0 +1,97 @@
+// Keyboard and mouse input for send_input and click: the allow-list that
+// gates which processes may receive input, and key chord parsing.
+
+import { ErrorCode, SnapItError } from './errors.js';
+
+export const MOUSE_BUTTONS = ['left', 'right', 'middle'];
+
+// Windows virtual-key codes by name. Letters and digits are added below.
+const NAMED_KEYS = {
+  ctrl: 0x11,
+  control: 0x11,
+  shift: 0x10,
+  alt: 0x12,
+  win: 0x5b,
+  meta: 0x5b,
+  enter: 0x0d,
+  return: 0x0d,
+  tab: 0x09,
+  esc: 0x1b,
+  escape: 0x1b,
+  space: 0x20,
+  backspace: 0x08,
+  delete: 0x2e,
+  del: 0x2e,
+  insert: 0x2d,
+  home: 0x24,
+  end: 0x23,
+  pageup: 0x21,
+  pagedown: 0x22,
+  up: 0x26,
+  down: 0x28,
+  left: 0x25,
+  right: 0x27,
+  apps: 0x5d,
+  printscreen: 0x2c
+};
+
+function virtualKey(name) {
+  const key = name.trim().toLowerCase();
+  if (NAMED_KEYS[key]) {
+    return NAMED_KEYS[key];
+  }
+  if (/^[a-z0-9]$/.test(key)) {
+    return key.toUpperCase().charCodeAt(0);
+  }
+  const functionKey = key.match(/^f([1-9]|1[0-9]|2[0-4])$/);
+  if (functionKey) {
+    return 0x6f + Number(functionKey[1]);
+  }
+  return null;
+}
+
+/**
+ * Parses a chord such as "ctrl+shift+s" or "alt+f4" into virtual-key codes,
+ * in the order they are pressed (released in reverse).
+ */
+export function parseChord(chord) {
+  if (typeof chord !== 'string' || chord.trim() === '') {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Key chords must be non-empty strings like "ctrl+s"', { chord });
+  }
+  return chord.split('+').map(name => {
+    const code = virtualKey(name);
+    if (code === null) {
+      throw new SnapItError(
+        ErrorCode.INVALID_ARGUMENT,
+        `Unknown key "${name.trim()}" in "${chord}". Use letters, digits, f1-f24 or one of: ${[...new Set(Object.keys(NAMED_KEYS))].join(', ')}`,
+        { chord, key: name.trim() }
+      );
+    }
+    return code;
+  });
+}
+
+/**
+ * Reads WSLSNAPIT_INPUT_ALLOW: comma-separated process names that may
+ * receive input, or "*" for any. Unset means input is disabled.
+ */
+export function inputAllowListFromEnv(env = process.env) {
+  return (env.WSLSNAPIT_INPUT_ALLOW || '')
+    .split(',')
+    .map(name => name.trim().replace(/\.exe$/i, '').toLowerCase())
+    .filter(Boolean);
+}
+
+export function assertInputAllowed(window, allowList) {
+  const processName = String(window.processName).replace(/\.exe$/i, '').toLowerCase();
+  if (allowList.includes('*') || allowList.includes(processName)) {
+    return;
+  }
+  throw new SnapItError(
+    ErrorCode.INPUT_NOT_ALLOWED,
+    allowList.length === 0
+      ? 'Input is disabled. Set WSLSNAPIT_INPUT_ALLOW to the process names that may receive input'
+      : `${window.processName} is not in WSLSNAPIT_INPUT_ALLOW (${allowList.join(', ')})`,
+    { processName: window.processName, allowed: allowList }
+  );
+}
@@ -0,0 +1,58 @@
+// Monitor numbering shared by every capture backend. Backends report displays
+// in whatever order Windows hands them out; numbering them here keeps
+// `list_monitors` and `take_screenshot` in agreement.
+
+import { ErrorCode, SnapItError } from './errors.js';
+
+// Left to right, then top to bottom for displays stacked in the same column
+export function numberMonitors(monitors) {
+  return [...monitors]
+    .sort((a, b) => a.bounds.x - b.bounds.x || a.bounds.y - b.bounds.y || a.deviceName.localeCompare(b.deviceName))
+    .map((monitor, i) => ({ index: i + 1, ...monitor }));
+}
+
+function normalizeDeviceName(name) {
+  return String(name).replace(/^\\\\\.\\/, '').toUpperCase();
+}
+
+// Accepts "primary", a 1-based number (or numeric string) or a device name
+// such as "\\.\DISPLAY2" or just "DISPLAY2"
+export function resolveMonitor(monitors, monitor) {
+  const numbered = numberMonitors(monitors);
+
+  if (monitor === 'primary') {
+    const primary = numbered.find(candidate => candidate.primary);
+    if (!primary) {
+      throw new SnapItError(ErrorCode.MONITOR_NOT_FOUND, 'No primary monitor reported', { monitor });
+    }
+    return primary;
+  }
+
+  if (/^\d+$/.test(String(monitor))) {
+    const target = numbered[Number(monitor) - 1];
+    if (!target) {
+      throw new SnapItError(
+        ErrorCode.MONITOR_OUT_OF_RANGE,
+        `Monitor ${monitor} not found. Available monitors: 1 to ${numbered.length}`,
+        { monitor: Number(monitor), count: numbered.length }
+      );
+    }
+    return target;
+  }
+
+  if (typeof monitor === 'string' && monitor) {
+    const wanted = normalizeDeviceName(monitor);
+    const target = numbered.find(candidate => normalizeDeviceName(candidate.deviceName) === wanted);
+    if (!target) {
+      const available = numbered.map(candidate => candidate.deviceName);
+      throw new SnapItError(
+        ErrorCode.MONITOR_NOT_FOUND,
+        `Monitor ${monitor} not found. Available devices: ${available.join(', ')}`,
+        { monitor, available }
+      );
+    }
+    return target;
+  }
+
+  throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Invalid monitor parameter: ${monitor}`, { monitor });
+}
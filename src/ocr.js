@@ -0,0 +1,43 @@
+import sharp from 'sharp';
+import { ErrorCode, SnapItError } from './errors.js';
+
+// Windows' OCR engine rejects images larger than this on either side
+export const MAX_OCR_DIMENSION = 10000;
+
+// A BCP-47 tag such as "en-US" or "zh-Hans-CN". The tag ends up inside a
+// PowerShell script, so nothing else gets through.
+const LANGUAGE_TAG = /^[A-Za-z]{2,8}(-[A-Za-z0-9]{1,8})*$/;
+
+/**
+ * Recognizes text in a PNG with the backend's OCR engine. Resolves to
+ * `{ language, width, height, lines: [{ text, words: [{ text, x, y, width, height }] }] }`
+ * with the PNG's size and word boxes in its own pixels, even when the image
+ * had to be downscaled for the engine.
+ */
+export async function recognizeText(backend, pngBuffer, { language } = {}) {
+  if (language && !LANGUAGE_TAG.test(String(language))) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `ocrLanguage must be a BCP-47 language tag such as "en-US": ${language}`, { language });
+  }
+
+  const { width, height } = await sharp(pngBuffer).metadata();
+  const scale = Math.min(1, MAX_OCR_DIMENSION / Math.max(width, height));
+
+  const input = scale < 1
+    ? await sharp(pngBuffer).resize(Math.floor(width * scale), Math.floor(height * scale), { fit: 'fill' }).png().toBuffer()
+    : pngBuffer;
+  const result = await backend.recognizeText(input, { language });
+
+  const lines = (result.lines ?? []).map(line => ({
+    text: line.text,
+    words: (line.words ?? []).map(word => (scale < 1
+      ? {
+        text: word.text,
+        x: Math.floor(word.x / scale),
+        y: Math.floor(word.y / scale),
+        width: Math.ceil(word.width / scale),
+        height: Math.ceil(word.height / scale)
+      }
+      : word))
+  }));
+  return { language: result.language ?? null, width, height, lines };
+}
@@ -0,0 +1,141 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ErrorCode, SnapItError } from './errors.js';
+
+// WSL ⇄ Windows path translation with `wslpath` semantics. Drives are mounted
+// under the automount root (/mnt/ unless /etc/wsl.conf says otherwise); every
+// other Linux path is reached from Windows through the distro's UNC share.
+
+const DEFAULT_AUTOMOUNT_ROOT = '/mnt/';
+
+let cachedAutomountRoot;
+
+// Reads `root` from the [automount] section of a wsl.conf file
+export function parseAutomountRoot(wslConf) {
+  let section = '';
+
+  for (const rawLine of wslConf.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s[#;].*$/, '').trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      continue;
+    }
+
+    const sectionMatch = line.match(/^\[(.+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1].trim().toLowerCase();
+      continue;
+    }
+
+    const entryMatch = line.match(/^([^=]+)=(.*)$/);
+    if (section === 'automount' && entryMatch && entryMatch[1].trim().toLowerCase() === 'root') {
+      const value = entryMatch[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+      if (value.startsWith('/')) {
+        return value.endsWith('/') ? value : `${value}/`;
+      }
+    }
+  }
+
+  return DEFAULT_AUTOMOUNT_ROOT;
+}
+
+export async function getAutomountRoot(wslConfPath = '/etc/wsl.conf') {
+  if (cachedAutomountRoot === undefined) {
+    try {
+      cachedAutomountRoot = parseAutomountRoot(await fs.readFile(wslConfPath, 'utf8'));
+    } catch {
+      cachedAutomountRoot = DEFAULT_AUTOMOUNT_ROOT;
+    }
+  }
+  return cachedAutomountRoot;
+}
+
+// Options every translation needs, read from the running WSL instance
+export async function getPathOptions(env = process.env) {
+  return {
+    automountRoot: await getAutomountRoot(),
+    distro: env.WSL_DISTRO_NAME,
+    cwd: process.cwd(),
+    home: env.HOME
+  };
+}
+
+/**
+ * Translates a WSL or Windows path into an absolute WSL path, like `wslpath -u`.
+ *
+ * Accepts drive paths (`C:\Users`, `c:/Users`, `\\?\C:\Users`), the distro's
+ * own UNC share (`\\wsl$\Ubuntu\home`, `\\wsl.localhost\Ubuntu\home`), and
+ * absolute, relative or `~` Linux paths. Other UNC shares are not reachable
+ * from WSL and throw.
+ */
+export function toWslPath(input, { automountRoot = DEFAULT_AUTOMOUNT_ROOT, distro, cwd = process.cwd(), home } = {}) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'Path must be a non-empty string');
+  }
+
+  // Strip the Win32 long path prefix
+  const windowsInput = input.replace(/^\\\\\?\\/, '');
+
+  const driveMatch = windowsInput.match(/^([a-zA-Z]):(?:[\\/](.*))?$/);
+  if (driveMatch) {
+    const rest = (driveMatch[2] || '').replace(/\\/g, '/');
+    return path.posix.join(automountRoot, driveMatch[1].toLowerCase(), rest);
+  }
+  if (/^[a-zA-Z]:/.test(windowsInput)) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Drive-relative path "${input}" is ambiguous; use an absolute path such as ${windowsInput[0]}:\\folder`);
+  }
+
+  const uncMatch = windowsInput.match(/^(?:\\\\|\/\/)([^\\/]+)[\\/]([^\\/]+)(?:[\\/](.*))?$/);
+  if (uncMatch) {
+    const [, host, share, rest = ''] = uncMatch;
+    if (!['wsl$', 'wsl.localhost'].includes(host.toLowerCase())) {
+      throw new SnapItError(ErrorCode.PATH_UNREACHABLE, `UNC path "${input}" is not reachable from WSL; map it to a drive letter first`);
+    }
+    if (distro && share.toLowerCase() !== distro.toLowerCase()) {
+      throw new SnapItError(ErrorCode.PATH_UNREACHABLE, `Path "${input}" belongs to the "${share}" distribution, not "${distro}"`);
+    }
+    return path.posix.join('/', rest.replace(/\\/g, '/'));
+  }
+
+  // Relative Windows-style paths use backslashes
+  const posixInput = input.replace(/\\/g, '/');
+  if (home && (posixInput === '~' || posixInput.startsWith('~/'))) {
+    return path.posix.join(home, posixInput.slice(1));
+  }
+  return path.posix.resolve(cwd, posixInput);
+}
+
+/**
+ * Translates a WSL path into the path Windows applications see, like
+ * `wslpath -w`. Paths under the automount root become drive paths; anything
+ * else goes through `\\wsl$\<distro>\`, which needs the distro name.
+ */
+export function toWindowsPath(input, { automountRoot = DEFAULT_AUTOMOUNT_ROOT, distro, cwd = process.cwd(), home } = {}) {
+  const wslPath = toWslPath(input, { automountRoot, distro, cwd, home });
+
+  const root = automountRoot.replace(/\/$/, '');
+  if (wslPath.startsWith(`${root}/`)) {
+    const driveMatch = wslPath.slice(root.length + 1).match(/^([a-zA-Z])(?:\/(.*))?$/);
+    if (driveMatch) {
+      return `${driveMatch[1].toUpperCase()}:\\${(driveMatch[2] || '').replace(/\//g, '\\')}`;
+    }
+  }
+
+  if (!distro) {
+    throw new SnapItError(ErrorCode.PATH_UNREACHABLE, `Cannot build a Windows path for "${wslPath}" without the WSL distribution name (WSL_DISTRO_NAME)`);
+  }
+  return `\\\\wsl$\\${distro}${wslPath === '/' ? '\\' : wslPath.replace(/\//g, '\\')}`;
+}
+
+// Creates a directory given as either a WSL or Windows path and returns both forms
+export async function ensureDirectory(input, options) {
+  const wslPath = toWslPath(input, options);
+  await fs.mkdir(wslPath, { recursive: true });
+
+  let windowsPath = null;
+  try {
+    windowsPath = toWindowsPath(wslPath, options);
+  } catch {
+    // Not running under WSL, so there is no Windows-side path to report
+  }
+  return { wslPath, windowsPath };
+}
@@ -0,0 +1,275 @@
+// Redaction applied to every image before it leaves the server: windows of
+// protected processes, fixed screen regions and text matching configured
+// patterns (found with OCR) are covered up. Rules come from the JSON file
+// named by WSLSNAPIT_REDACTION_CONFIG.
+
+import fs from 'fs';
+import sharp from 'sharp';
+import { annotateImage } from './annotate.js';
+import { ErrorCode, SnapItError } from './errors.js';
+import { unionRects, validateRegion } from './geometry.js';
+import { recognizeText } from './ocr.js';
+
+export const REDACTION_STYLES = ['fill', 'blur', 'pixelate'];
+
+function normalizeProcessName(name) {
+  return String(name).replace(/\.exe$/i, '').toLowerCase();
+}
+
+function compilePattern(pattern, index) {
+  const { pattern: source, flags = '' } = typeof pattern === 'string' ? { pattern } : pattern ?? {};
+  try {
+    return { source, regex: new RegExp(source, flags.includes('g') ? flags : `${flags}g`) };
+  } catch (error) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Redaction pattern ${index} is not a valid regular expression: ${error.message}`, { pattern });
+  }
+}
+
+// The part of `rect` inside `bounds`, or null when they don't overlap
+function intersect(rect, bounds) {
+  const left = Math.max(rect.x, bounds.x);
+  const top = Math.max(rect.y, bounds.y);
+  const right = Math.min(rect.x + rect.width, bounds.x + bounds.width);
+  const bottom = Math.min(rect.y + rect.height, bounds.y + bounds.height);
+  return right > left && bottom > top ? { x: left, y: top, width: right - left, height: bottom - top } : null;
+}
+
+// The words making up each match of `regex` in a recognized line. Words are
+// rejoined with single spaces, so a pattern can span several of them.
+function matchLine(line, regex) {
+  let text = '';
+  const spans = line.words.map(word => {
+    const start = text.length ? text.length + 1 : 0;
+    text = text.length ? `${text} ${word.text}` : word.text;
+    return { start, end: text.length, word };
+  });
+
+  const matches = [];
+  for (const match of text.matchAll(regex)) {
+    const end = match.index + Math.max(match[0].length, 1);
+    const words = spans.filter(span => span.start < end && span.end > match.index).map(span => span.word);
+    if (words.length > 0) {
+      matches.push(words);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Reads the redaction rules from the file named by WSLSNAPIT_REDACTION_CONFIG,
+ * or returns null when it isn't set. Throws on a missing or invalid file, so
+ * the server refuses to start rather than run without the rules.
+ */
+export function redactionOptionsFromEnv(env = process.env) {
+  const configPath = env.WSLSNAPIT_REDACTION_CONFIG;
+  if (!configPath) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Unable to read redaction config ${configPath}: ${error.message}`, { configPath });
+  }
+}
+
+/**
+ * Covers up sensitive parts of captured images. `processes` are process
+ * names (with or without ".exe") whose windows are always hidden, `regions`
+ * are fixed rectangles in screen coordinates and `patterns` are regular
+ * expressions (strings, or `{ pattern, flags }`) matched against OCR'd text.
+ * `style` is how areas are covered: "fill" (solid black, the default),
+ * "blur" or "pixelate".
+ *
+ * Redaction fails closed: if it can't be applied (OCR unavailable, the
+ * window list can't be read) the image is withheld with REDACTION_FAILED.
+ */
+export class Redactor {
+  constructor(backend, { processes = [], regions = [], patterns = [], style = 'fill', ocrLanguage } = {}) {
+    if (!REDACTION_STYLES.includes(style)) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `Redaction style must be one of: ${REDACTION_STYLES.join(', ')}`, { style });
+    }
+    regions.forEach(validateRegion);
+
+    this.backend = backend;
+    this.processes = new Set(processes.map(normalizeProcessName));
+    this.regions = regions;
+    this.patterns = patterns.map(compilePattern);
+    this.style = style;
+    this.ocrLanguage = ocrLanguage;
+  }
+
+  get enabled() {
+    return this.processes.size > 0 || this.regions.length > 0 || this.patterns.length > 0;
+  }
+
+  isProtected(processName) {
+    return Boolean(processName) && this.processes.has(normalizeProcessName(processName));
+  }
+
+  /**
+   * Redacts a screen or window capture whose top-left pixel is at `origin`
+   * in screen coordinates (null for the whole virtual screen). `window` is
+   * the captured window, if any: a protected one is hidden entirely.
+   * `method` is how it was captured; only a PrintWindow render is free of
+   * the windows above it. Resolves to `{ pngBuffer, redactions }`, with each
+   * redaction's reason ("process", "region" or "pattern") and box in image
+   * pixels.
+   */
+  async redactCapture(pngBuffer, { origin = null, window, method } = {}) {
+    if (!this.enabled) {
+      return { pngBuffer, redactions: [] };
+    }
+    return this.apply(pngBuffer, async image => {
+      if (window && this.isProtected(window.processName)) {
+        return [{ reason: 'process', process: window.processName, ...image }];
+      }
+
+      const screenOrigin = origin ?? await this.virtualScreenOrigin();
+      const toImage = rect => intersect({ ...rect, x: rect.x - screenOrigin.x, y: rect.y - screenOrigin.y }, image);
+      const redactions = [];
+
+      // A window copied from the screen shows whatever stayed above it
+      // (topmost windows, or all of them when focusing it was refused), so
+      // only PrintWindow renders can skip this. Untitled windows count too:
+      // a protected app's popups and tooltips have no title.
+      if (method !== 'printWindow' && this.processes.size > 0) {
+        const windows = await this.backend.listWindows({ includeUntitled: true });
+        const targetOrder = window && (windows.find(candidate => candidate.handle === window.handle) ?? window).zOrder;
+        for (const candidate of windows) {
+          // Without a z-order to go by, a window counts as above the target
+          const above = !window || (candidate.handle !== window.handle && !(candidate.zOrder >= targetOrder));
+          const box = above && !candidate.minimized && this.isProtected(candidate.processName) && toImage(candidate.bounds);
+          if (box) {
+            redactions.push({ reason: 'process', process: candidate.processName, ...box });
+          }
+        }
+      }
+      for (const region of this.regions) {
+        const box = toImage(region);
+        if (box) {
+          redactions.push({ reason: 'region', ...box });
+        }
+      }
+      return redactions;
+    });
+  }
+
+  /**
+   * Redacts an image that isn't a capture (a clipboard image): it is hidden
+   * entirely when `sourceProcess` is protected, otherwise only pattern
+   * matches are covered.
+   */
+  async redactImage(pngBuffer, { sourceProcess } = {}) {
+    if (!this.enabled) {
+      return { pngBuffer, redactions: [] };
+    }
+    return this.apply(pngBuffer, async image => (this.isProtected(sourceProcess)
+      ? [{ reason: 'process', process: sourceProcess, ...image }]
+      : []));
+  }
+
+  async apply(pngBuffer, findAreas) {
+    try {
+      const { width, height } = await sharp(pngBuffer).metadata();
+      const image = { x: 0, y: 0, width, height };
+      const redactions = await findAreas(image);
+
+      // Nothing left to find once the whole image is covered
+      const coversImage = redactions.some(redaction => redaction.width === width && redaction.height === height);
+      if (!coversImage) {
+        redactions.push(...await this.findPatterns(pngBuffer, image));
+      }
+
+      return { pngBuffer: await this.cover(pngBuffer, redactions), redactions };
+    } catch (error) {
+      if (error.code === ErrorCode.REDACTION_FAILED) {
+        throw error;
+      }
+      throw new SnapItError(
+        ErrorCode.REDACTION_FAILED,
+        `Redaction could not be applied, so the image was withheld: ${error.message}`,
+        { cause: error.code ?? null }
+      );
+    }
+  }
+
+  async findPatterns(pngBuffer, image) {
+    if (this.patterns.length === 0) {
+      return [];
+    }
+    const { lines } = await recognizeText(this.backend, pngBuffer, { language: this.ocrLanguage });
+
+    const redactions = [];
+    for (const { source, regex } of this.patterns) {
+      for (const line of lines) {
+        for (const box of matchLine(line, regex).map(unionRects)) {
+          // Pad a little: OCR boxes hug the glyphs
+          const padded = intersect({ x: box.x - 2, y: box.y - 2, width: box.width + 4, height: box.height + 4 }, image);
+          if (padded) {
+            redactions.push({ reason: 'pattern', pattern: source, ...padded });
+          }
+        }
+      }
+    }
+    return redactions;
+  }
+
+  /**
+   * Drops the words matching a pattern from recognized text, in case OCR can
+   * still make out text that was blurred or pixelated rather than filled.
+   */
+  redactText(recognized) {
+    if (this.patterns.length === 0) {
+      return recognized;
+    }
+    const lines = recognized.lines.map(line => {
+      const matched = new Set(this.patterns.flatMap(({ regex }) => matchLine(line, regex).flat()));
+      if (matched.size === 0) {
+        return line;
+      }
+      const words = line.words.filter(word => !matched.has(word));
+      return { text: words.map(word => word.text).join(' '), words };
+    });
+    return { ...recognized, lines: lines.filter(line => line.words.length > 0) };
+  }
+
+  // Replaces pattern matches in text read from a window (UI element names
+  // and values, say)
+  redactString(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    return this.patterns.reduce((redacted, { regex }) => redacted.replace(regex, '[redacted]'), text);
+  }
+
+  async virtualScreenOrigin() {
+    const { x, y } = unionRects((await this.backend.listMonitors()).map(monitor => monitor.bounds));
+    return { x, y };
+  }
+
+  async cover(pngBuffer, redactions) {
+    const annotations = redactions.map(({ x, y, width, height }) => {
+      const box = { x, y, width, height };
+      if (this.style === 'blur') {
+        return { type: 'blur', ...box, radius: 30 };
+      }
+      if (this.style === 'pixelate') {
+        return { type: 'pixelate', ...box, blockSize: 16 };
+      }
+      return { type: 'rect', ...box, color: '#000000', fill: '#000000', strokeWidth: 0 };
+    });
+    return annotateImage(pngBuffer, annotations);
+  }
+}
+
+// Appended to a tool's status line; empty when nothing was redacted
+export function describeRedactions(redactions = []) {
+  if (redactions.length === 0) {
+    return '';
+  }
+  const counts = ['process', 'region', 'pattern']
+    .map(reason => [reason, redactions.filter(redaction => redaction.reason === reason).length])
+    .filter(([, count]) => count > 0);
+  const labels = { process: 'protected app area(s)', region: 'fixed region(s)', pattern: 'text match(es)' };
+  return ` - Redacted ${redactions.length} area(s): ${counts.map(([reason, count]) => `${count} ${labels[reason]}`).join(', ')}`;
+}
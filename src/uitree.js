@@ -0,0 +1,107 @@
+// Shapes a backend's flat UI Automation walk into a nested element tree, and
+// turns elements into numbered boxes that can be drawn over a capture.
+
+import { ErrorCode, SnapItError } from './errors.js';
+
+export const DEFAULT_MAX_DEPTH = 10;
+export const DEFAULT_MAX_ELEMENTS = 300;
+export const MAX_DEPTH_LIMIT = 50;
+export const MAX_ELEMENTS_LIMIT = 5000;
+
+// The walk's bounds go into the backend's script as numbers, so anything but
+// an integer in range is refused up front
+export function validateWalkLimits({ maxDepth, maxElements }) {
+  if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > MAX_DEPTH_LIMIT) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `maxDepth must be an integer from 0 to ${MAX_DEPTH_LIMIT}`, { maxDepth });
+  }
+  if (!Number.isInteger(maxElements) || maxElements < 1 || maxElements > MAX_ELEMENTS_LIMIT) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `maxElements must be an integer from 1 to ${MAX_ELEMENTS_LIMIT}`, { maxElements });
+  }
+}
+
+function toNode({ id, controlType, name, automationId, className, bounds, enabled, focused, offscreen, value }) {
+  return {
+    id,
+    controlType,
+    name,
+    automationId,
+    className,
+    bounds,
+    enabled,
+    focused,
+    ...(offscreen && { offscreen }),
+    ...(value !== null && value !== undefined && { value })
+  };
+}
+
+/**
+ * Nests the elements of a walk (flat, parents first, `parent` 0 for the
+ * root) into `{ id, controlType, name, ..., children }` nodes. With filters,
+ * elements that don't match are dropped unless they lead to one that does,
+ * so matches keep their place in the hierarchy. Offscreen elements count as
+ * non-matching unless `includeOffscreen` is set. Returns the tree and the
+ * matching elements in visiting order.
+ */
+export function buildUiTree(elements, { controlTypes = [], nameContains, includeOffscreen = false } = {}) {
+  const types = new Set(controlTypes.map(type => type.toLowerCase()));
+  const needle = nameContains?.toLowerCase();
+  const isMatch = element => (includeOffscreen || !element.offscreen)
+    && (types.size === 0 || types.has(String(element.controlType).toLowerCase()))
+    && (!needle || String(element.name ?? '').toLowerCase().includes(needle));
+
+  const nodes = new Map();
+  const matches = [];
+  let root = null;
+  for (const element of elements) {
+    const node = { ...toNode(element), children: [], matched: isMatch(element) };
+    nodes.set(element.id, node);
+    if (node.matched) {
+      matches.push(element);
+    }
+    if (element.parent === 0) {
+      root = node;
+    } else {
+      nodes.get(element.parent)?.children.push(node);
+    }
+  }
+
+  // Depth is bounded by the walk's maxDepth, so recursion is safe here
+  const prune = ({ matched, children, ...node }, isRoot) => {
+    const kept = children.map(child => prune(child, false)).filter(Boolean);
+    if (!matched && kept.length === 0 && !isRoot) {
+      return null;
+    }
+    return kept.length > 0 ? { ...node, children: kept } : node;
+  };
+
+  return { tree: root && prune(root, true), matches };
+}
+
+// A box and a numbered callout (the element's id) per element, in the pixels
+// of a capture whose top-left corner is at `origin` on screen
+export function uiTreeAnnotations(elements, origin) {
+  return elements
+    .filter(element => element.bounds && element.bounds.width > 0 && element.bounds.height > 0)
+    .flatMap(({ id, bounds }) => {
+      const x = bounds.x - origin.x;
+      const y = bounds.y - origin.y;
+      return [
+        { type: 'rect', x, y, width: bounds.width, height: bounds.height, strokeWidth: 2 },
+        { type: 'callout', x, y, number: id, radius: 9 }
+      ];
+    });
+}
+
+// The first on-screen element, in visiting order, whose automationId, name
+// and controlType equal those given in `selector` (ignoring case). At least
+// one is needed; an empty selector would match the window itself.
+export function findElement(elements, selector) {
+  const keys = ['automationId', 'name', 'controlType'].filter(key => selector[key] !== undefined);
+  if (keys.length === 0) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'element needs at least one of automationId, name or controlType', { element: selector });
+  }
+  return elements.find(element => !element.offscreen
+    && element.bounds?.width > 0
+    && element.bounds?.height > 0
+    && keys.every(key => String(element[key] ?? '').toLowerCase() === String(selector[key]).toLowerCase())) ?? null;
+}
@@ -0,0 +1,273 @@
+// Window selection shared by every capture backend. Backends only enumerate
+// windows; deciding which one the caller meant happens here so the
+// disambiguation and not-found errors behave the same everywhere.
+
+import { ErrorCode, SnapItError } from './errors.js';
+
+// Fields of the `window` selector. Every field given must match.
+export const WINDOW_SELECTOR_FIELDS = ['title', 'titleExact', 'titleRegex', 'excludeTitle', 'processName', 'processPath', 'className', 'pid'];
+
+function normalizeProcessName(name) {
+  return String(name).replace(/\.exe$/i, '').toLowerCase();
+}
+
+function normalizePath(filePath) {
+  return String(filePath).replace(/\//g, '\\').toLowerCase();
+}
+
+function requireString(selector, key) {
+  if (typeof selector[key] !== 'string' || selector[key] === '') {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `window.${key} must be a non-empty string`, { window: selector });
+  }
+  return selector[key];
+}
+
+// Checks a `window` selector and turns it into a predicate over windows
+function compileSelector(selector) {
+  if (typeof selector !== 'object' || selector === null || Array.isArray(selector)) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'window must be an object such as { "titleRegex": "^Report" }', { window: selector });
+  }
+  const unknown = Object.keys(selector).filter(key => !WINDOW_SELECTOR_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new SnapItError(
+      ErrorCode.INVALID_ARGUMENT,
+      `Unknown window selector field(s): ${unknown.join(', ')}. Use ${WINDOW_SELECTOR_FIELDS.join(', ')}`,
+      { window: selector }
+    );
+  }
+  const keys = WINDOW_SELECTOR_FIELDS.filter(key => selector[key] !== undefined);
+  if (keys.length === 0) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `window needs at least one of ${WINDOW_SELECTOR_FIELDS.join(', ')}`, { window: selector });
+  }
+
+  const tests = keys.map(key => {
+    if (key === 'title') {
+      const needle = requireString(selector, key).toLowerCase();
+      return win => win.title.toLowerCase().includes(needle);
+    }
+    if (key === 'titleExact') {
+      const title = requireString(selector, key);
+      return win => win.title === title;
+    }
+    if (key === 'titleRegex') {
+      let regex;
+      try {
+        regex = new RegExp(requireString(selector, key), 'i');
+      } catch (error) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `window.titleRegex is not a valid regular expression: ${error.message}`, { window: selector });
+      }
+      return win => regex.test(win.title);
+    }
+    if (key === 'excludeTitle') {
+      const values = [].concat(selector.excludeTitle);
+      if (values.some(value => typeof value !== 'string' || value === '')) {
+        throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'window.excludeTitle must be a non-empty string or an array of them', { window: selector });
+      }
+      const needles = values.map(value => value.toLowerCase());
+      return win => !needles.some(needle => win.title.toLowerCase().includes(needle));
+    }
+    if (key === 'processName') {
+      const name = normalizeProcessName(requireString(selector, key));
+      return win => normalizeProcessName(win.processName) === name;
+    }
+    if (key === 'processPath') {
+      const processPath = normalizePath(requireString(selector, key));
+      return win => Boolean(win.processPath) && normalizePath(win.processPath) === processPath;
+    }
+    if (key === 'className') {
+      const className = requireString(selector, key).toLowerCase();
+      return win => (win.className ?? '').toLowerCase() === className;
+    }
+    if (!Number.isInteger(selector.pid)) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'window.pid must be an integer', { window: selector });
+    }
+    return win => win.pid === selector.pid;
+  });
+  return win => tests.every(matches => matches(win));
+}
+
+// Matches are listed by process name, then PID, then handle, so a windowIndex
+// keeps pointing at the same window when focus moves or titles change
+function sortWindows(windows) {
+  return [...windows].sort((a, b) => {
+    const nameA = a.processName.toLowerCase();
+    const nameB = b.processName.toLowerCase();
+    if (nameA !== nameB) {
+      return nameA < nameB ? -1 : 1;
+    }
+    return (a.pid ?? 0) - (b.pid ?? 0) || a.handle - b.handle;
+  });
+}
+
+/**
+ * Windows matching `window` (a selector object, see WINDOW_SELECTOR_FIELDS)
+ * or the simpler `windowTitle` and `processName` substrings, in a stable
+ * order. With none of them, every window is returned.
+ */
+export function filterWindows(windows, { windowTitle, processName, window: selector }) {
+  let matchingWindows = windows;
+
+  if (selector !== undefined) {
+    matchingWindows = matchingWindows.filter(compileSelector(selector));
+  }
+  if (windowTitle) {
+    const needle = windowTitle.toLowerCase();
+    matchingWindows = matchingWindows.filter(win => win.title.toLowerCase().includes(needle));
+  }
+  if (processName) {
+    // Strip .exe if provided
+    const needle = processName.replace(/\.exe$/i, '').toLowerCase();
+    matchingWindows = matchingWindows.filter(win => win.processName.toLowerCase().includes(needle));
+  }
+  return sortWindows(matchingWindows);
+}
+
+/**
+ * The selector that picks a single window from a tool's arguments: `window`
+ * when given, otherwise `windowTitle`, otherwise `processName` (the title
+ * wins when both are given). Null when the arguments name no window.
+ */
+export function windowSelector({ windowTitle, processName, window }) {
+  if (window !== undefined) {
+    if (windowTitle || processName) {
+      throw new SnapItError(
+        ErrorCode.INVALID_ARGUMENT,
+        'Give either window or windowTitle/processName, not both. The window selector has title and processName fields.',
+        { window, windowTitle, processName }
+      );
+    }
+    return { window };
+  }
+  if (windowTitle) {
+    return { windowTitle };
+  }
+  return processName ? { processName } : null;
+}
+
+function describeSelector({ windowTitle, processName, window }) {
+  return window ? JSON.stringify(window) : `"${windowTitle || processName}"`;
+}
+
+function requireSelector(options) {
+  const selector = windowSelector(options);
+  if (!selector) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, 'One of window, windowTitle or processName is required to select a window');
+  }
+  return selector;
+}
+
+function windowNotFound(selector) {
+  let message;
+  if (selector.window) {
+    message = `No windows match ${describeSelector(selector)}. Use list_windows to check the titles, class names and processes.`;
+  } else if (selector.windowTitle) {
+    message = `No windows found with title containing "${selector.windowTitle}". Try a shorter part of the title, or processName instead.`;
+  } else {
+    message = `No visible windows found for process "${selector.processName}". Make sure it is running, or try windowTitle instead.`;
+  }
+  return new SnapItError(ErrorCode.WINDOW_NOT_FOUND, message, selector);
+}
+
+export function selectWindow(windows, { windowTitle, processName, window, windowIndex = 1, windowIndexProvided = false }) {
+  const selector = requireSelector({ windowTitle, processName, window });
+  const matchingWindows = filterWindows(windows, selector);
+
+  if (matchingWindows.length === 0) {
+    throw windowNotFound(selector);
+  }
+
+  if (matchingWindows.length === 1) {
+    return matchingWindows[0];
+  }
+
+  // Multiple windows found - only pick one if windowIndex was explicitly provided and valid
+  if (windowIndexProvided && windowIndex >= 1 && windowIndex <= matchingWindows.length) {
+    return matchingWindows[windowIndex - 1];
+  }
+
+  const candidates = matchingWindows.map((win, i) => ({
+    windowIndex: i + 1,
+    handle: win.handle,
+    title: win.title,
+    processName: win.processName,
+    pid: win.pid
+  }));
+  const options = candidates
+    .map(candidate => `${candidate.windowIndex}. ${candidate.title} (${candidate.processName}.exe, PID ${candidate.pid})`)
+    .join('\n');
+
+  throw new SnapItError(
+    ErrorCode.WINDOW_AMBIGUOUS,
+    `${matchingWindows.length} windows match ${describeSelector(selector)}. Narrow the selector, or retry with windowIndex set to one of:\n${options}`,
+    { ...selector, ...(windowIndexProvided && { windowIndex }), candidates }
+  );
+}
+
+// The fake backend may leave PIDs out, so fall back to the process name
+function processKey(win) {
+  return win.pid ? `pid:${win.pid}` : `name:${win.processName.toLowerCase()}`;
+}
+
+/**
+ * Every visible window of the process(es) whose windows match, for capturing
+ * an application together with its dialogs, popups and menus. `windows`
+ * should include untitled ones, which popups and menus usually are. Several
+ * matching processes are all taken, unless `windowIndex` picks one match.
+ * Minimized and empty windows are left out, and the rest are ordered from
+ * the bottom of the z-order up, the order they are drawn in.
+ */
+export function selectWindowGroup(windows, { windowTitle, processName, window, windowIndex = 1, windowIndexProvided = false }) {
+  const selector = requireSelector({ windowTitle, processName, window });
+  // Matched and numbered like selectWindow does, among the titled windows
+  const matchingWindows = filterWindows(windows.filter(win => win.title), selector);
+
+  if (matchingWindows.length === 0) {
+    throw windowNotFound(selector);
+  }
+  if (windowIndexProvided && (windowIndex < 1 || windowIndex > matchingWindows.length)) {
+    throw new SnapItError(
+      ErrorCode.INVALID_ARGUMENT,
+      `windowIndex ${windowIndex} is out of range: ${matchingWindows.length} window(s) match ${describeSelector(selector)}`,
+      { ...selector, windowIndex }
+    );
+  }
+
+  const picked = windowIndexProvided ? [matchingWindows[windowIndex - 1]] : matchingWindows;
+  const processes = new Set(picked.map(processKey));
+  const group = windows
+    .filter(win => processes.has(processKey(win)) && !win.minimized && win.bounds.width > 0 && win.bounds.height > 0)
+    .sort((a, b) => b.zOrder - a.zOrder);
+
+  if (group.length === 0) {
+    throw new SnapItError(
+      ErrorCode.WINDOW_NOT_FOUND,
+      `Every window matching ${describeSelector(selector)} is minimized. Restore one with manage_window first.`,
+      selector
+    );
+  }
+  return group;
+}
+
+// Parts of a window a capture can cover: the visible frame (the default),
+// the client area, or the whole window rectangle, which includes the
+// invisible resize borders and the drop shadow
+export const WINDOW_AREAS = ['frame', 'client', 'window'];
+
+export const WINDOW_ACTIONS = ['restore', 'maximize', 'setBounds', 'bringToFront', 'sendToBack'];
+
+// Bounds for setBounds and resizeTo: any of x, y, width and height, with the
+// rest left as they are. Checked before anything is touched.
+export function validateWindowBounds(bounds, name = 'bounds') {
+  const keys = ['x', 'y', 'width', 'height'].filter(key => bounds?.[key] !== undefined);
+  if (typeof bounds !== 'object' || bounds === null || keys.length === 0) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `${name} needs at least one of x, y, width and height`, { [name]: bounds });
+  }
+  for (const key of keys) {
+    if (!Number.isInteger(bounds[key])) {
+      throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `${name}.${key} must be an integer`, { [name]: bounds });
+    }
+  }
+  if (bounds.width <= 0 || bounds.height <= 0) {
+    throw new SnapItError(ErrorCode.INVALID_ARGUMENT, `${name} width and height must be greater than 0`, { [name]: bounds });
+  }
+}
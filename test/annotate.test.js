@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { annotateImage } from '../src/annotate.js';
+import { ErrorCode } from '../src/errors.js';
+
+async function pixel(buffer, x, y) {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [...data.subarray(offset, offset + 3)];
+}
+
+test('annotateImage pixelates only inside the box and keeps the size', async () => {
+  // Left half black, right half white, so pixelating across the edge mixes them
+  const image = await sharp({ create: { width: 100, height: 50, channels: 3, background: '#ffffff' } })
+    .composite([{ input: { create: { width: 50, height: 50, channels: 3, background: '#000000' } }, left: 0, top: 0 }])
+    .png()
+    .toBuffer();
+
+  const annotated = await annotateImage(image, [{ type: 'pixelate', x: 40, y: 0, width: 20, height: 20, blockSize: 20 }]);
+
+  const { width, height } = await sharp(annotated).metadata();
+  assert.deepEqual([width, height], [100, 50]);
+  assert.deepEqual(await pixel(annotated, 45, 5), await pixel(annotated, 55, 5));
+  assert.deepEqual(await pixel(annotated, 45, 30), [0, 0, 0]);
+});
+
+test('annotateImage rejects unknown types and missing coordinates', async () => {
+  const image = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#ffffff' } }).png().toBuffer();
+
+  await assert.rejects(annotateImage(image, [{ type: 'star' }]), { code: ErrorCode.INVALID_ARGUMENT });
+  await assert.rejects(annotateImage(image, [{ type: 'arrow', from: { x: 1, y: 1 } }]), /annotations\[0\]\.to\.x must be a number/);
+});
@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { FakeBackend } from '../src/backends/fake.js';
+import { ErrorCode } from '../src/errors.js';
+import { captureSequence, captureWhenStable, prepareCapture } from '../src/capture.js';
+import { buildContactSheet, encodeAnimation } from '../src/image.js';
+
+// A window with 7px invisible borders left, right and bottom, and a 31px
+// title bar above its client area
+const framedWindow = {
+  handle: 301,
+  title: 'Settings',
+  processName: 'SystemSettings',
+  bounds: { x: 100, y: 100, width: 816, height: 639 },
+  frameBounds: { x: 107, y: 100, width: 802, height: 632 },
+  clientBounds: { x: 108, y: 131, width: 800, height: 600 },
+  image: { width: 816, height: 639, color: '#336699' }
+};
+
+async function fakeBackend(fixture) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'wslsnapit-'));
+  const fixturePath = path.join(directory, 'fixture.json');
+  await fs.writeFile(fixturePath, JSON.stringify(fixture));
+  const backend = new FakeBackend(fixturePath);
+  // Replays a different desktop from the next call on
+  backend.replaceFixture = next => fs.writeFile(fixturePath, JSON.stringify(next));
+  return backend;
+}
+
+async function sizeOf(pngBuffer) {
+  const { width, height } = await sharp(pngBuffer).metadata();
+  return { width, height };
+}
+
+test('window captures cover the frame, the client area or the whole window rectangle', async () => {
+  const backend = await fakeBackend({ windows: [framedWindow] });
+  const cases = [
+    [{}, framedWindow.frameBounds, 'Window frame'],
+    [{ clientAreaOnly: true }, framedWindow.clientBounds, 'Client area'],
+    [{ includeShadow: true }, framedWindow.bounds, 'Window with shadow']
+  ];
+
+  for (const [options, expected, label] of cases) {
+    const target = await prepareCapture(backend, { windowTitle: 'Settings', ...options });
+    const captured = await target.capture();
+    assert.deepEqual(captured.bounds, expected);
+    assert.deepEqual(await sizeOf(captured.pngBuffer), { width: expected.width, height: expected.height });
+    assert.match(captured.note, new RegExp(label));
+  }
+
+  await assert.rejects(prepareCapture(backend, { windowTitle: 'Settings', clientAreaOnly: true, includeShadow: true }), /can't both be set/);
+});
+
+test('resizeTo sizes the visible frame, not the window rectangle', async () => {
+  const backend = await fakeBackend({ windows: [framedWindow] });
+  const target = await prepareCapture(backend, { windowTitle: 'Settings', resizeTo: { x: 0, y: 0, width: 1280, height: 800 } });
+
+  assert.deepEqual(target.resized, { x: 0, y: 0, width: 1280, height: 800 });
+  const captured = await target.capture();
+  assert.deepEqual(captured.bounds, { x: 0, y: 0, width: 1280, height: 800 });
+  assert.deepEqual(await sizeOf(captured.pngBuffer), { width: 1280, height: 800 });
+
+  const [win] = await backend.listWindows();
+  assert.deepEqual(win.bounds, { x: -7, y: 0, width: 1294, height: 807 });
+
+  const client = await (await prepareCapture(backend, { windowTitle: 'Settings', clientAreaOnly: true })).capture();
+  assert.deepEqual(client.bounds, { x: 1, y: 31, width: 1278, height: 768 });
+});
+
+test('captureSequence takes the frames one interval apart', async () => {
+  const backend = await fakeBackend({ windows: [framedWindow] });
+  const target = await prepareCapture(backend, { windowTitle: 'Settings' });
+  const frames = await captureSequence(target, { frames: 3, intervalMs: 40 });
+
+  assert.equal(frames.length, 3);
+  frames.forEach((frame, i) => assert.ok(frame.offsetMs >= i * 40, `frame ${i} at ${frame.offsetMs}ms`));
+  assert.ok(frames.every(frame => frame.note.includes('Window frame')));
+  assert.deepEqual(await sizeOf(frames[2].pngBuffer), { width: 802, height: 632 });
+});
+
+test('sequence frames become a GIF or a contact sheet', async () => {
+  const frames = await Promise.all(['#ff0000', '#00ff00', '#0000ff', '#ffffff'].map(color =>
+    sharp({ create: { width: 200, height: 100, channels: 3, background: color } }).png().toBuffer()
+  ));
+
+  const gif = await encodeAnimation(frames, { format: 'gif', delays: [100, 100, 100, 100], maxDimension: 100 });
+  assert.deepEqual([gif.mimeType, gif.frames, gif.width, gif.height, gif.overBudget], ['image/gif', 4, 100, 50, false]);
+  assert.equal((await sharp(gif.buffer, { animated: true }).metadata()).pages, 4);
+
+  // Two columns of 100px tiles with a 4px shim between them
+  const sheet = await buildContactSheet(frames, { columns: 2, maxDimension: 200 });
+  assert.deepEqual(await sizeOf(sheet), { width: 204, height: 104 });
+});
+
+// A target whose captures change color for the first `changes` frames
+async function changingTarget(changes) {
+  const colors = ['#ff0000', '#00ff00', '#0000ff'];
+  let captures = 0;
+  return {
+    async capture() {
+      const color = colors[Math.min(captures, changes) % colors.length];
+      captures++;
+      const pngBuffer = await sharp({ create: { width: 40, height: 40, channels: 3, background: color } }).png().toBuffer();
+      return { pngBuffer, note: '', redactions: [] };
+    }
+  };
+}
+
+test('captureWhenStable returns once the target stops changing', async () => {
+  const result = await captureWhenStable(await changingTarget(2), { stableForMs: 60, timeoutMs: 2000, pollIntervalMs: 20 });
+  assert.equal(result.stable, true);
+  // Two changes at 20ms intervals, then 60ms without one
+  assert.ok(result.waitedMs >= 100, `waited ${result.waitedMs}ms`);
+  assert.ok(result.waitedMs < 2000);
+});
+
+test('captureWhenStable gives up after timeoutMs with the latest frame', async () => {
+  const result = await captureWhenStable(await changingTarget(Infinity), { stableForMs: 100, timeoutMs: 150, pollIntervalMs: 20 });
+  assert.equal(result.stable, false);
+  assert.ok(result.waitedMs >= 150, `waited ${result.waitedMs}ms`);
+  assert.ok(Buffer.isBuffer(result.pngBuffer));
+});
+
+test('windowTimeoutMs waits for the window to appear', async () => {
+  const backend = await fakeBackend({ windows: [] });
+  setTimeout(() => backend.replaceFixture({ windows: [framedWindow] }), 50);
+
+  const target = await prepareCapture(backend, { windowTitle: 'Settings', windowTimeoutMs: 2000, pollIntervalMs: 20 });
+  assert.equal(target.window.handle, 301);
+  assert.ok(target.waitedMs >= 40, `waited ${target.waitedMs}ms`);
+
+  await assert.rejects(
+    prepareCapture(backend, { windowTitle: 'Printing', windowTimeoutMs: 60, pollIntervalMs: 20 }),
+    error => error.code === ErrorCode.WINDOW_NOT_FOUND && /^Gave up after waiting \d+ms/.test(error.message)
+  );
+});
+
+test('background captures use PrintWindow and fall back to the foreground', async () => {
+  const backend = await fakeBackend({
+    windows: [
+      framedWindow,
+      { ...framedWindow, handle: 302, title: 'Game', printWindow: false },
+      { ...framedWindow, handle: 303, title: 'Parked', minimized: true }
+    ]
+  });
+
+  const printed = await (await prepareCapture(backend, { windowTitle: 'Settings', captureMethod: 'background' })).capture();
+  assert.equal(printed.method, 'printWindow');
+  assert.match(printed.note, /Captured in the background with PrintWindow/);
+
+  for (const windowTitle of ['Game', 'Parked']) {
+    const captured = await (await prepareCapture(backend, { windowTitle, captureMethod: 'background' })).capture();
+    assert.equal(captured.method, 'foreground');
+    assert.match(captured.note, /PrintWindow failed, captured from the screen after focusing the window/);
+  }
+
+  const foreground = await (await prepareCapture(backend, { windowTitle: 'Game' })).capture();
+  assert.match(foreground.note, / - Captured from the screen after focusing the window/);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { availableFormats, buildCfHtml, htmlToText, parseCfHtml } from '../src/clipboard.js';
+
+test('parseCfHtml reads the fragment at the byte offsets of buildCfHtml', () => {
+  const fragment = '<td>Zürich — 東京</td>';
+  const payload = buildCfHtml(fragment, { sourceUrl: 'https://example.com/page' });
+
+  const parsed = parseCfHtml(payload);
+  assert.equal(parsed.fragment, fragment);
+  assert.equal(parsed.sourceUrl, 'https://example.com/page');
+  assert.match(parsed.html, /^<html><body>/);
+  assert.match(parsed.html, /<\/html>$/);
+});
+
+test('parseCfHtml falls back to the fragment comments when offsets are wrong', () => {
+  const payload = [
+    'Version:0.9',
+    'StartHTML:-1',
+    'EndHTML:-1',
+    'StartFragment:0000009999',
+    'EndFragment:0000010000',
+    '<html><body><!--StartFragment--><b>bold</b><!--EndFragment--></body></html>'
+  ].join('\r\n');
+
+  const parsed = parseCfHtml(payload);
+  assert.equal(parsed.fragment, '<b>bold</b>');
+  assert.equal(parsed.sourceUrl, null);
+});
+
+test('availableFormats maps Windows format names in auto order', () => {
+  assert.deepEqual(
+    availableFormats(['HTML Format', 'Csv', 'UnicodeText', 'Bitmap', 'Art::GVML ClipFormat']),
+    ['image', 'text', 'html', 'csv']
+  );
+  assert.deepEqual(availableFormats([]), []);
+});
+
+test('htmlToText keeps line and cell breaks and decodes entities', () => {
+  assert.equal(
+    htmlToText('<p>Tom &amp; Jerry</p><table><tr><td>a</td><td>&lt;b&gt;</td></tr></table><style>p { color: red }</style>'),
+    'Tom & Jerry\na\t<b>'
+  );
+});
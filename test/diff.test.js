@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { diffImages } from '../src/diff.js';
+
+function solid(width, height, background, overlays = []) {
+  return sharp({ create: { width, height, channels: 3, background } })
+    .composite(overlays.map(({ x, y, width: w, height: h, color }) => ({
+      input: { create: { width: w, height: h, channels: 3, background: color } },
+      left: x,
+      top: y
+    })))
+    .png()
+    .toBuffer();
+}
+
+test('diffImages reports changed regions largest first', async () => {
+  const baseline = await solid(200, 100, '#808080');
+  const current = await solid(200, 100, '#808080', [
+    { x: 10, y: 10, width: 20, height: 10, color: '#ff0000' },
+    { x: 150, y: 60, width: 30, height: 30, color: '#0000ff' }
+  ]);
+
+  const diff = await diffImages(baseline, current);
+
+  assert.equal(diff.changedPixels, 200 + 900);
+  assert.equal(diff.changedPercent, 5.5);
+  assert.deepEqual(diff.regions.map(({ x, y, width, height }) => ({ x, y, width, height })), [
+    { x: 150, y: 60, width: 30, height: 30 },
+    { x: 10, y: 10, width: 20, height: 10 }
+  ]);
+});
+
+test('diffImages skips ignored regions and sub-threshold changes', async () => {
+  const baseline = await solid(100, 100, '#808080');
+  const current = await solid(100, 100, '#828282', [{ x: 0, y: 0, width: 10, height: 10, color: '#ffffff' }]);
+
+  const diff = await diffImages(baseline, current, { ignoreRegions: [{ x: 0, y: 0, width: 10, height: 10 }] });
+  assert.equal(diff.changedPixels, 0);
+  assert.equal(diff.regions.length, 0);
+
+  const strict = await diffImages(baseline, current, { threshold: 0 });
+  assert.equal(strict.changedPercent, 100);
+});
+
+test('diffImages rejects images of different sizes', async () => {
+  await assert.rejects(diffImages(await solid(10, 10, '#000000'), await solid(12, 10, '#000000')), /differ in size/);
+});
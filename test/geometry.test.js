@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { FakeBackend } from '../src/backends/fake.js';
+import { prepareCapture } from '../src/capture.js';
+import { ErrorCode } from '../src/errors.js';
+import { clipRegion, unionRects } from '../src/geometry.js';
+
+const bounds = { x: 1920, y: 0, width: 1920, height: 1080 };
+
+test('clipRegion offsets relative regions and leaves inside ones alone', () => {
+  assert.deepEqual(clipRegion({ x: 10, y: 20, width: 300, height: 200 }, bounds), {
+    rect: { x: 1930, y: 20, width: 300, height: 200 },
+    wasClipped: false
+  });
+  assert.deepEqual(clipRegion({ x: 1930, y: 20, width: 300, height: 200 }, bounds, { relative: false }), {
+    rect: { x: 1930, y: 20, width: 300, height: 200 },
+    wasClipped: false
+  });
+});
+
+test('clipRegion trims regions that stick out past any edge', () => {
+  assert.deepEqual(clipRegion({ x: 1800, y: 1000, width: 300, height: 200 }, bounds), {
+    rect: { x: 3720, y: 1000, width: 120, height: 80 },
+    wasClipped: true
+  });
+  // Negative offsets reach left of and above the target
+  assert.deepEqual(clipRegion({ x: -50, y: -10, width: 100, height: 40 }, bounds), {
+    rect: { x: 1920, y: 0, width: 50, height: 30 },
+    wasClipped: true
+  });
+  assert.deepEqual(clipRegion({ x: 1900, y: -10, width: 100, height: 40 }, bounds, { relative: false }), {
+    rect: { x: 1920, y: 0, width: 80, height: 30 },
+    wasClipped: true
+  });
+});
+
+test('clipRegion rejects regions entirely outside the target', () => {
+  for (const region of [
+    { x: 1920, y: 0, width: 10, height: 10 },
+    { x: -100, y: 0, width: 100, height: 10 },
+    { x: 0, y: 2000, width: 10, height: 10 }
+  ]) {
+    assert.throws(() => clipRegion(region, bounds), error => {
+      assert.equal(error.code, ErrorCode.REGION_OUT_OF_BOUNDS);
+      assert.deepEqual(error.details, { region, bounds });
+      return true;
+    });
+  }
+  assert.throws(() => clipRegion({ x: 0, y: 0, width: 0, height: 10 }, bounds), { code: ErrorCode.INVALID_ARGUMENT });
+});
+
+test('unionRects spans every rectangle', () => {
+  assert.deepEqual(unionRects([{ x: 0, y: 0, width: 1920, height: 1080 }, { x: 1920, y: -200, width: 1080, height: 1920 }]), {
+    x: 0,
+    y: -200,
+    width: 3000,
+    height: 1920
+  });
+});
+
+test('region captures note when the region was clipped', async () => {
+  const backend = new FakeBackend(fileURLToPath(new URL('../test-images/fixture.json', import.meta.url)));
+
+  // Monitor 2 is the one right of the primary, at x = 1920
+  const inside = await (await prepareCapture(backend, { monitor: 2, region: { x: 10, y: 10, width: 100, height: 50 } })).capture();
+  assert.equal(inside.note, ' - Region 100x50 at (1930, 10) in screen coordinates');
+
+  const monitor = await prepareCapture(backend, { monitor: 2, region: { x: 1800, y: 1000, width: 300, height: 200 } });
+  assert.deepEqual(monitor.bounds, { x: 3720, y: 1000, width: 120, height: 80 });
+  assert.equal((await monitor.capture()).note, ' - Region 120x80 at (3720, 1000) in screen coordinates (clipped)');
+
+  const window = await (await prepareCapture(backend, { windowTitle: 'Inbox', region: { x: 1100, y: -20, width: 200, height: 100 } })).capture();
+  assert.match(window.note, /^ - Region 100x80 at \(1100, 0\) of the window \(clipped\)/);
+
+  await assert.rejects(prepareCapture(backend, { monitor: 2, region: { x: 1920, y: 0, width: 10, height: 10 } }), { code: ErrorCode.REGION_OUT_OF_BOUNDS });
+});
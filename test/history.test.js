@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ErrorCode } from '../src/errors.js';
+import { ClipboardHistory, historyOptionsFromEnv } from '../src/history.js';
+
+// Serves whatever `copy` last put on the clipboard
+function stubBackend() {
+  let current = { sequence: 0, ownerProcess: null, formats: [], text: null };
+  return {
+    copy(text, { ownerProcess = 'notepad', formats = ['UnicodeText'] } = {}) {
+      current = { sequence: current.sequence + 1, ownerProcess, formats, text };
+    },
+    async getClipboardInfo() {
+      return { sequence: current.sequence, ownerProcess: current.ownerProcess };
+    },
+    async readClipboard(format) {
+      return format === 'text' ? { formats: current.formats, text: current.text } : { formats: current.formats };
+    }
+  };
+}
+
+test('ClipboardHistory records new copies newest first, up to maxEntries', async () => {
+  const backend = stubBackend();
+  const history = new ClipboardHistory(backend, { maxEntries: 2 });
+
+  backend.copy('already there');
+  await history.poll();
+  for (const text of ['one', 'two', 'three']) {
+    backend.copy(text);
+    await history.poll();
+  }
+
+  assert.deepEqual(history.entries().map(entry => entry.text), ['three', 'two']);
+  assert.equal(history.entries()[0].sourceProcess, 'notepad');
+});
+
+test('ClipboardHistory skips excluded processes and private copies', async () => {
+  const backend = stubBackend();
+  let changes = 0;
+  const history = new ClipboardHistory(backend, { excludeProcesses: ['KeePass.exe'], onChange: () => changes++ });
+
+  await history.poll();
+  backend.copy('master password', { ownerProcess: 'keepass' });
+  await history.poll();
+  backend.copy('one-time code', { formats: ['UnicodeText', 'ExcludeClipboardContentFromMonitorProcessing'] });
+  await history.poll();
+  backend.copy('shopping list');
+  await history.poll();
+
+  assert.deepEqual(history.entries().map(entry => entry.text), ['shopping list']);
+  assert.equal(changes, 1);
+});
+
+test('historyOptionsFromEnv only takes positive integers', () => {
+  assert.equal(historyOptionsFromEnv({}), null);
+  assert.deepEqual(
+    historyOptionsFromEnv({ WSLSNAPIT_CLIPBOARD_HISTORY: '1', WSLSNAPIT_CLIPBOARD_HISTORY_MAX: '5' }),
+    { maxEntries: 5, ttlMs: 3600000, pollIntervalMs: 1000, excludeProcesses: [], storePath: null }
+  );
+  for (const value of ['abc', '0', '-3', '2.5', '1e3']) {
+    assert.throws(
+      () => historyOptionsFromEnv({ WSLSNAPIT_CLIPBOARD_HISTORY: '1', WSLSNAPIT_CLIPBOARD_HISTORY_MAX: value }),
+      { code: ErrorCode.INVALID_ARGUMENT, message: `WSLSNAPIT_CLIPBOARD_HISTORY_MAX must be a positive integer, not "${value}"` }
+    );
+  }
+});
+
+test('ClipboardHistory keeps its entries in the store file across restarts', async () => {
+  const storePath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'wslsnapit-')), 'history.json');
+  const backend = stubBackend();
+  const history = new ClipboardHistory(backend, { storePath });
+  await history.poll();
+  backend.copy('kept');
+  await history.poll();
+
+  const restarted = new ClipboardHistory(backend, { storePath });
+  await restarted.load();
+  assert.deepEqual(restarted.entries().map(entry => entry.text), ['kept']);
+});
+
+test('ClipboardHistory starts empty when the store file is damaged', async t => {
+  const storePath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'wslsnapit-')), 'history.json');
+  const errors = t.mock.method(console, 'error', () => {});
+
+  for (const contents of ['{"entries": [{"id": "1", "form', '{}', '{"entries": {}}', '{"entries": [{"id": "1", "format": "text"}]}', 'null']) {
+    await fs.writeFile(storePath, contents);
+    const history = new ClipboardHistory(stubBackend(), { storePath });
+    await history.load();
+    assert.deepEqual(history.entries(), []);
+  }
+  assert.equal(errors.mock.callCount(), 5);
+  assert.match(errors.mock.calls[0].arguments[0], /^Clipboard history: ignoring .*history\.json/);
+});
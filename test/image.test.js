@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import { ErrorCode } from '../src/errors.js';
+import { describeImage, processImage } from '../src/image.js';
+
+// Repeatable noise, which compresses badly in every format
+function noisePng(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let offset = 0, block = 0; offset < pixels.length; offset += 32, block++) {
+    crypto.createHash('sha256').update(String(block)).digest().copy(pixels, offset);
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+// Dark "text" on a light background, which lossless formats keep small
+function textPng(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#ffffff' } })
+    .composite([{ input: { create: { width: Math.floor(width / 2), height: 8, channels: 3, background: '#000000' } }, left: 4, top: 4 }])
+    .png()
+    .toBuffer();
+}
+
+test('processImage keeps images that fit as they are', async () => {
+  const result = await processImage(await noisePng(300, 300), { maxDimension: 300 });
+  assert.equal(result.mimeType, 'image/jpeg');
+  assert.equal(result.quality, 80);
+  assert.equal(result.wasResized, false);
+  assert.deepEqual([result.width, result.height], [300, 300]);
+  assert.match(describeImage(result), /^\(\d+KB, JPEG quality: 80%\)$/);
+});
+
+test('processImage scales the longest side down to maxDimension', async () => {
+  const wide = await processImage(await textPng(400, 100), { maxDimension: 100 });
+  assert.deepEqual([wide.width, wide.height, wide.wasResized], [100, 25, true]);
+
+  const tall = await processImage(await textPng(100, 400), { maxDimension: 100, format: 'png' });
+  assert.deepEqual([tall.width, tall.height, tall.wasResized], [25, 100, true]);
+  assert.match(describeImage(tall), /Resized to 25px width/);
+});
+
+test('processImage lowers quality before resolution to meet maxBytes', async () => {
+  const png = await noisePng(300, 300);
+
+  const lowerQuality = await processImage(png, { maxDimension: 300, maxBytes: 30000 });
+  assert.ok(lowerQuality.buffer.length <= 30000);
+  assert.ok(lowerQuality.quality < 80 && lowerQuality.quality >= 20, `quality ${lowerQuality.quality}`);
+  assert.equal(lowerQuality.wasResized, false);
+
+  // Even quality 20 is too big at full size, so the ladder steps down to 5/12 of it at quality 50
+  const smaller = await processImage(png, { maxDimension: 300, maxBytes: 8000 });
+  assert.ok(smaller.buffer.length <= 8000);
+  assert.deepEqual([smaller.width, smaller.quality, smaller.wasResized], [125, 50, true]);
+});
+
+test('processImage returns the smallest attempt when nothing fits', async () => {
+  const result = await processImage(await noisePng(300, 300), { maxDimension: 300, maxBytes: 1 });
+  assert.deepEqual([result.width, result.quality], [125, 50]);
+  assert.ok(result.buffer.length > 1);
+});
+
+test('PNG requests give up resolution, then fall back to lossy WebP', async () => {
+  const png = await noisePng(300, 300);
+
+  const downscaled = await processImage(png, { format: 'png', maxDimension: 300, maxBytes: 150000 });
+  assert.deepEqual([downscaled.format, downscaled.lossless, downscaled.width, downscaled.fellBack], ['png', true, 200, false]);
+
+  const fallback = await processImage(png, { format: 'png', maxDimension: 300, maxBytes: 30000 });
+  assert.deepEqual([fallback.format, fallback.mimeType, fallback.lossless, fallback.fellBack], ['webp', 'image/webp', false, true]);
+  assert.ok(fallback.buffer.length <= 30000);
+  assert.match(describeImage(fallback), /no lossless encoding fit the size budget/);
+});
+
+test('preserveText returns a lossless image when one fits', async () => {
+  const text = await processImage(await textPng(300, 100), { preserveText: true });
+  assert.equal(text.lossless, true);
+  assert.ok(['png', 'webp'].includes(text.format));
+
+  const noise = await processImage(await noisePng(300, 300), { preserveText: true, maxDimension: 300, maxBytes: 30000 });
+  assert.deepEqual([noise.format, noise.lossless, noise.fellBack], ['jpeg', false, true]);
+});
+
+test('processImage rejects invalid options', async () => {
+  const png = await textPng(20, 20);
+  await assert.rejects(processImage(png, { format: 'bmp' }), { code: ErrorCode.INVALID_ARGUMENT });
+  await assert.rejects(processImage(png, { maxBytes: 0 }), { code: ErrorCode.INVALID_ARGUMENT });
+  await assert.rejects(processImage(png, { maxDimension: 8 }), { code: ErrorCode.INVALID_ARGUMENT });
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '../src/errors.js';
+import { assertInputAllowed, inputAllowListFromEnv, parseChord } from '../src/input.js';
+
+test('parseChord maps key names to virtual-key codes in press order', () => {
+  assert.deepEqual(parseChord('ctrl+shift+s'), [0x11, 0x10, 0x53]);
+  assert.deepEqual(parseChord('Alt + F4'), [0x12, 0x73]);
+  assert.deepEqual(parseChord('enter'), [0x0d]);
+  assert.deepEqual(parseChord('win+1'), [0x5b, 0x31]);
+});
+
+test('parseChord rejects unknown keys and empty chords', () => {
+  assert.throws(() => parseChord('ctrl+banana'), { code: ErrorCode.INVALID_ARGUMENT, details: { chord: 'ctrl+banana', key: 'banana' } });
+  assert.throws(() => parseChord(''), { code: ErrorCode.INVALID_ARGUMENT });
+  assert.throws(() => parseChord('f25'), { code: ErrorCode.INVALID_ARGUMENT });
+});
+
+test('input is only allowed for processes in WSLSNAPIT_INPUT_ALLOW', () => {
+  const allowList = inputAllowListFromEnv({ WSLSNAPIT_INPUT_ALLOW: 'Notepad.exe, calc' });
+  assert.deepEqual(allowList, ['notepad', 'calc']);
+
+  assertInputAllowed({ processName: 'notepad' }, allowList);
+  assert.throws(() => assertInputAllowed({ processName: 'cmd' }, allowList), { code: ErrorCode.INPUT_NOT_ALLOWED });
+  assert.throws(() => assertInputAllowed({ processName: 'notepad' }, inputAllowListFromEnv({})), /Input is disabled/);
+  assertInputAllowed({ processName: 'anything' }, inputAllowListFromEnv({ WSLSNAPIT_INPUT_ALLOW: '*' }));
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '../src/errors.js';
+import { numberMonitors, resolveMonitor } from '../src/monitors.js';
+
+function monitor(number, x, y, primary = false) {
+  return { deviceName: `\\\\.\\DISPLAY${number}`, bounds: { x, y, width: 1920, height: 1080 }, primary };
+}
+
+// Windows' own order, which the numbering ignores
+const sideBySide = [monitor(1, 0, 0, true), monitor(3, -1920, 0), monitor(2, 1920, 0)];
+const stacked = [monitor(1, 0, 0, true), monitor(2, 0, -1080)];
+const mixed = [monitor(4, 1920, 1080), monitor(1, 0, 0, true), monitor(2, 1920, 0), monitor(3, -1920, 300)];
+
+const order = monitors => numberMonitors(monitors).map(({ index, deviceName }) => [index, deviceName.slice(4)]);
+
+test('numberMonitors numbers side-by-side monitors left to right', () => {
+  assert.deepEqual(order(sideBySide), [[1, 'DISPLAY3'], [2, 'DISPLAY1'], [3, 'DISPLAY2']]);
+});
+
+test('numberMonitors numbers stacked monitors top to bottom', () => {
+  assert.deepEqual(order(stacked), [[1, 'DISPLAY2'], [2, 'DISPLAY1']]);
+});
+
+test('numberMonitors orders a mixed layout by column, then row', () => {
+  assert.deepEqual(order(mixed), [[1, 'DISPLAY3'], [2, 'DISPLAY1'], [3, 'DISPLAY2'], [4, 'DISPLAY4']]);
+  // The input is left as it was
+  assert.equal(mixed[0].deviceName, '\\\\.\\DISPLAY4');
+});
+
+test('resolveMonitor takes a number, a device name or "primary"', () => {
+  assert.equal(resolveMonitor(mixed, 3).deviceName, '\\\\.\\DISPLAY2');
+  assert.equal(resolveMonitor(mixed, '4').deviceName, '\\\\.\\DISPLAY4');
+  assert.equal(resolveMonitor(mixed, '\\\\.\\DISPLAY3').index, 1);
+  assert.equal(resolveMonitor(mixed, 'display3').index, 1);
+  assert.equal(resolveMonitor(mixed, 'primary').deviceName, '\\\\.\\DISPLAY1');
+});
+
+test('resolveMonitor tells an out-of-range number from an unknown device', () => {
+  assert.throws(() => resolveMonitor(sideBySide, 4), { code: ErrorCode.MONITOR_OUT_OF_RANGE, details: { monitor: 4, count: 3 } });
+  assert.throws(() => resolveMonitor(sideBySide, 0), { code: ErrorCode.MONITOR_OUT_OF_RANGE });
+  assert.throws(() => resolveMonitor(sideBySide, 'DISPLAY5'), {
+    code: ErrorCode.MONITOR_NOT_FOUND,
+    details: { monitor: 'DISPLAY5', available: ['\\\\.\\DISPLAY3', '\\\\.\\DISPLAY1', '\\\\.\\DISPLAY2'] }
+  });
+  assert.throws(() => resolveMonitor(stacked.map(({ primary, ...rest }) => rest), 'primary'), { code: ErrorCode.MONITOR_NOT_FOUND });
+  assert.throws(() => resolveMonitor(sideBySide, 1.5), { code: ErrorCode.INVALID_ARGUMENT });
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { ErrorCode } from '../src/errors.js';
+import { MAX_OCR_DIMENSION, recognizeText } from '../src/ocr.js';
+
+test('recognizeText downscales oversized images and maps boxes back', async () => {
+  const image = await sharp({ create: { width: MAX_OCR_DIMENSION * 2, height: 10, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  let received;
+  const backend = {
+    async recognizeText(png) {
+      received = await sharp(png).metadata();
+      return { language: 'en-US', lines: [{ text: 'far', words: [{ text: 'far', x: 9000, y: 1, width: 15, height: 3 }] }] };
+    }
+  };
+
+  const result = await recognizeText(backend, image);
+
+  assert.deepEqual([received.width, received.height], [MAX_OCR_DIMENSION, 5]);
+  assert.deepEqual([result.width, result.height], [MAX_OCR_DIMENSION * 2, 10]);
+  assert.deepEqual(result.lines[0].words[0], { text: 'far', x: 18000, y: 2, width: 30, height: 6 });
+});
+
+test('recognizeText only passes language tags to the backend', async () => {
+  const image = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  const languages = [];
+  const backend = {
+    async recognizeText(png, { language }) {
+      languages.push(language);
+      return { language, lines: [] };
+    }
+  };
+
+  await recognizeText(backend, image, { language: 'zh-Hans-CN' });
+  await recognizeText(backend, image);
+  for (const language of ['en\u2019; Remove-Item C:\\ -Recurse; \u2019', "en-US'", 'e']) {
+    await assert.rejects(recognizeText(backend, image, { language }), { code: ErrorCode.INVALID_ARGUMENT });
+  }
+  assert.deepEqual(languages, ['zh-Hans-CN', undefined]);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAutomountRoot, toWindowsPath, toWslPath } from '../src/paths.js';
+
+const options = { automountRoot: '/mnt/', distro: 'Ubuntu', cwd: '/home/dev/project', home: '/home/dev' };
+
+test('toWslPath maps drive paths under the automount root', () => {
+  assert.equal(toWslPath('C:\\Users\\dev\\Pictures', options), '/mnt/c/Users/dev/Pictures');
+  assert.equal(toWslPath('d:/work/shots', options), '/mnt/d/work/shots');
+  assert.equal(toWslPath('Z:\\', options), '/mnt/z');
+  assert.equal(toWslPath('E:', options), '/mnt/e');
+  assert.equal(toWslPath('\\\\?\\C:\\very\\long', options), '/mnt/c/very/long');
+  assert.equal(toWslPath('C:\\data', { ...options, automountRoot: '/win/' }), '/win/c/data');
+});
+
+test('toWslPath maps the distro UNC share back to Linux paths', () => {
+  assert.equal(toWslPath('\\\\wsl$\\Ubuntu\\home\\dev\\shots', options), '/home/dev/shots');
+  assert.equal(toWslPath('\\\\wsl.localhost\\ubuntu\\tmp', options), '/tmp');
+  assert.equal(toWslPath('//wsl.localhost/Ubuntu/var/log', options), '/var/log');
+  assert.equal(toWslPath('\\\\wsl$\\Ubuntu', options), '/');
+});
+
+test('toWslPath rejects paths it cannot reach', () => {
+  assert.throws(() => toWslPath('\\\\wsl$\\Debian\\home', options), /"Debian" distribution/);
+  assert.throws(() => toWslPath('\\\\fileserver\\share\\shots', options), /not reachable from WSL/);
+  assert.throws(() => toWslPath('C:relative', options), /Drive-relative/);
+  assert.throws(() => toWslPath('', options), /non-empty/);
+});
+
+test('toWslPath resolves Linux, relative and home paths', () => {
+  assert.equal(toWslPath('/home/dev/shots/', options), '/home/dev/shots');
+  assert.equal(toWslPath('screenshots', options), '/home/dev/project/screenshots');
+  assert.equal(toWslPath('..\\shared\\shots', options), '/home/dev/shared/shots');
+  assert.equal(toWslPath('~/Pictures', options), '/home/dev/Pictures');
+});
+
+test('toWindowsPath maps mounted drives to drive letters', () => {
+  assert.equal(toWindowsPath('/mnt/c/Users/dev', options), 'C:\\Users\\dev');
+  assert.equal(toWindowsPath('/mnt/h', options), 'H:\\');
+  assert.equal(toWindowsPath('/win/d/data', { ...options, automountRoot: '/win/' }), 'D:\\data');
+  assert.equal(toWindowsPath('C:\\already\\windows', options), 'C:\\already\\windows');
+});
+
+test('toWindowsPath maps other Linux paths to the distro UNC share', () => {
+  assert.equal(toWindowsPath('/home/dev/shots', options), '\\\\wsl$\\Ubuntu\\home\\dev\\shots');
+  assert.equal(toWindowsPath('/mnt/wsl/shared', options), '\\\\wsl$\\Ubuntu\\mnt\\wsl\\shared');
+  assert.equal(toWindowsPath('shots', options), '\\\\wsl$\\Ubuntu\\home\\dev\\project\\shots');
+  assert.equal(toWindowsPath('/', options), '\\\\wsl$\\Ubuntu\\');
+  assert.throws(() => toWindowsPath('/home/dev', { ...options, distro: undefined }), /WSL_DISTRO_NAME/);
+});
+
+test('parseAutomountRoot reads [automount] root from wsl.conf', () => {
+  assert.equal(parseAutomountRoot(''), '/mnt/');
+  assert.equal(parseAutomountRoot('[automount]\nenabled = true\nroot = /win\n'), '/win/');
+  assert.equal(parseAutomountRoot('[automount]\r\nroot="/drives/" # custom\r\n'), '/drives/');
+  assert.equal(parseAutomountRoot('[network]\nroot = /nope/\n[automount]\noptions = "metadata"\n'), '/mnt/');
+  assert.equal(parseAutomountRoot('# root = /commented/\n[automount]\n; root = /also/\n'), '/mnt/');
+});
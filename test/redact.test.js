@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { ErrorCode } from '../src/errors.js';
+import { Redactor } from '../src/redact.js';
+
+async function pixel(buffer, x, y) {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [...data.subarray(offset, offset + 3)];
+}
+
+function whiteImage(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#ffffff' } }).png().toBuffer();
+}
+
+// One monitor to the left of the primary, so the virtual screen starts at -100
+function stubBackend({ windows = [], lines = [] } = {}) {
+  return {
+    async listMonitors() {
+      return [{ bounds: { x: -100, y: 0, width: 100, height: 100 } }, { bounds: { x: 0, y: 0, width: 100, height: 100 } }];
+    },
+    async listWindows() {
+      return windows;
+    },
+    async recognizeText() {
+      return { language: 'en-US', lines };
+    }
+  };
+}
+
+test('Redactor covers protected windows and fixed regions in screen coordinates', async () => {
+  const backend = stubBackend({
+    windows: [
+      { processName: 'KeePass', bounds: { x: -90, y: 10, width: 20, height: 20 }, minimized: false },
+      { processName: 'keepass.exe', bounds: { x: 50, y: 50, width: 20, height: 20 }, minimized: true },
+      { processName: 'notepad', bounds: { x: 0, y: 0, width: 100, height: 100 }, minimized: false }
+    ]
+  });
+  const redactor = new Redactor(backend, { processes: ['KeePass.exe'], regions: [{ x: 90, y: 90, width: 50, height: 50 }] });
+
+  const { pngBuffer, redactions } = await redactor.redactCapture(await whiteImage(200, 100));
+
+  assert.deepEqual(redactions, [
+    { reason: 'process', process: 'KeePass', x: 10, y: 10, width: 20, height: 20 },
+    { reason: 'region', x: 190, y: 90, width: 10, height: 10 }
+  ]);
+  assert.deepEqual(await pixel(pngBuffer, 20, 20), [0, 0, 0]);
+  assert.deepEqual(await pixel(pngBuffer, 195, 95), [0, 0, 0]);
+  assert.deepEqual(await pixel(pngBuffer, 150, 60), [255, 255, 255]);
+});
+
+test('Redactor covers protected windows above a window copied from the screen', async () => {
+  let listed;
+  const backend = stubBackend({
+    windows: [
+      { handle: 1, title: '', processName: 'KeePass', bounds: { x: 20, y: 20, width: 10, height: 10 }, minimized: false, zOrder: 0 },
+      { handle: 2, title: 'Notes', processName: 'notepad', bounds: { x: 0, y: 0, width: 100, height: 100 }, minimized: false, zOrder: 1 },
+      { handle: 3, title: 'Vault', processName: 'KeePass', bounds: { x: 60, y: 60, width: 20, height: 20 }, minimized: false, zOrder: 2 }
+    ]
+  });
+  const listWindows = backend.listWindows;
+  backend.listWindows = options => {
+    listed = options;
+    return listWindows(options);
+  };
+  const redactor = new Redactor(backend, { processes: ['KeePass'] });
+  const target = { handle: 2, processName: 'notepad', zOrder: 1 };
+
+  // The untitled popup above the target is covered; the window below it isn't
+  const copied = await redactor.redactCapture(await whiteImage(100, 100), { origin: { x: 0, y: 0 }, window: target, method: 'foreground' });
+  assert.deepEqual(copied.redactions, [{ reason: 'process', process: 'KeePass', x: 20, y: 20, width: 10, height: 10 }]);
+  assert.deepEqual(listed, { includeUntitled: true });
+  assert.deepEqual(await pixel(copied.pngBuffer, 25, 25), [0, 0, 0]);
+  assert.deepEqual(await pixel(copied.pngBuffer, 70, 70), [255, 255, 255]);
+
+  const printed = await redactor.redactCapture(await whiteImage(100, 100), { origin: { x: 0, y: 0 }, window: target, method: 'printWindow' });
+  assert.deepEqual(printed.redactions, []);
+});
+
+test('Redactor covers the words of OCR pattern matches, across word breaks', async () => {
+  const backend = stubBackend({
+    lines: [{
+      text: 'card 4111 1111 done',
+      words: [
+        { text: 'card', x: 0, y: 0, width: 10, height: 10 },
+        { text: '4111', x: 20, y: 0, width: 10, height: 10 },
+        { text: '1111', x: 40, y: 0, width: 10, height: 10 },
+        { text: 'done', x: 60, y: 0, width: 10, height: 10 }
+      ]
+    }]
+  });
+  const redactor = new Redactor(backend, { patterns: ['\\d{4} \\d{4}'] });
+
+  const { redactions } = await redactor.redactImage(await whiteImage(100, 20));
+
+  assert.deepEqual(redactions, [{ reason: 'pattern', pattern: '\\d{4} \\d{4}', x: 18, y: 0, width: 34, height: 12 }]);
+});
+
+test('Redactor withholds the image when OCR fails', async () => {
+  const backend = {
+    async recognizeText() {
+      throw Object.assign(new Error('No OCR language installed'), { code: ErrorCode.OCR_UNAVAILABLE });
+    }
+  };
+  const redactor = new Redactor(backend, { patterns: ['secret'] });
+
+  await assert.rejects(redactor.redactImage(await whiteImage(10, 10)), {
+    code: ErrorCode.REDACTION_FAILED,
+    details: { cause: ErrorCode.OCR_UNAVAILABLE }
+  });
+});
+
+test('Redactor drops pattern matches from recognized text', () => {
+  const redactor = new Redactor({}, { patterns: [{ pattern: 'SK-\\w+', flags: 'i' }] });
+  const word = (text, x) => ({ text, x, y: 0, width: 10, height: 10 });
+
+  const redacted = redactor.redactText({
+    language: 'en-US',
+    lines: [
+      { text: 'key sk-abc123 here', words: [word('key', 0), word('sk-abc123', 20), word('here', 40)] },
+      { text: 'sk-def456', words: [word('sk-def456', 0)] }
+    ]
+  });
+
+  assert.deepEqual(redacted.lines, [{ text: 'key here', words: [word('key', 0), word('here', 40)] }]);
+});
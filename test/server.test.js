@@ -0,0 +1,164 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ErrorCode } from '../src/errors.js';
+
+// Runs the real server over stdio with the fake backend replaying a fixture
+const root = fileURLToPath(new URL('..', import.meta.url));
+let client;
+
+async function startServer(env = {}) {
+  const server = new Client({ name: 'wslsnapit-test', version: '1.0.0' }, { capabilities: {} });
+  await server.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [`${root}index.js`],
+    env: {
+      ...process.env,
+      WSLSNAPIT_BACKEND: 'fake',
+      WSLSNAPIT_FAKE_FIXTURE: `${root}test-images/fixture.json`,
+      WSLSNAPIT_INPUT_ALLOW: '',
+      WSL_DISTRO_NAME: 'Ubuntu',
+      ...env
+    },
+    stderr: 'ignore'
+  }));
+  return server;
+}
+
+before(async () => {
+  client = await startServer();
+});
+
+after(() => client.close());
+
+function errorOf(result) {
+  assert.equal(result.isError, true);
+  return JSON.parse(result.content[0].text).error;
+}
+
+test('the server lists its tools', async () => {
+  const { tools } = await client.listTools();
+  const names = tools.map(tool => tool.name);
+  for (const name of ['take_screenshot', 'list_windows', 'list_monitors', 'read_clipboard', 'click', 'send_input']) {
+    assert.ok(names.includes(name), `${name} is listed`);
+  }
+});
+
+test('list_windows and list_monitors report the fixture desktop', async () => {
+  const windows = JSON.parse((await client.callTool({ name: 'list_windows', arguments: { processName: 'notepad' } })).content[0].text);
+  assert.equal(windows.count, 2);
+  assert.deepEqual(windows.windows.map(win => win.handle), [101, 102]);
+
+  const monitors = (await client.callTool({ name: 'list_monitors', arguments: {} })).content[0].text;
+  assert.match(monitors, /DISPLAY1/);
+  assert.match(monitors, /DISPLAY2/);
+});
+
+test('take_screenshot returns the matched window as an image', async () => {
+  const result = await client.callTool({ name: 'take_screenshot', arguments: { windowTitle: 'Inbox', imageFormat: 'png' } });
+  assert.notEqual(result.isError, true);
+  assert.match(result.content[0].text, /^Screenshot captured successfully/);
+  assert.equal(result.content[1].type, 'image');
+  assert.equal(result.content[1].mimeType, 'image/png');
+});
+
+test('take_screenshot lists the candidates of an ambiguous title', async () => {
+  const error = errorOf(await client.callTool({ name: 'take_screenshot', arguments: { windowTitle: 'Notepad' } }));
+  assert.equal(error.code, ErrorCode.WINDOW_AMBIGUOUS);
+  assert.deepEqual(error.details.candidates.map(candidate => candidate.handle), [101, 102]);
+});
+
+test('take_screenshot reports a missing window or process', async () => {
+  const byTitle = errorOf(await client.callTool({ name: 'take_screenshot', arguments: { windowTitle: 'Spreadsheet' } }));
+  assert.equal(byTitle.code, ErrorCode.WINDOW_NOT_FOUND);
+  assert.deepEqual(byTitle.details, { windowTitle: 'Spreadsheet' });
+
+  const byProcess = errorOf(await client.callTool({ name: 'take_screenshot', arguments: { processName: 'chrome.exe' } }));
+  assert.equal(byProcess.code, ErrorCode.WINDOW_NOT_FOUND);
+  assert.deepEqual(byProcess.details, { processName: 'chrome.exe' });
+});
+
+test('take_screenshot with saveCopy returns the image and saves the original', async () => {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'wslsnapit-'));
+  const result = await client.callTool({ name: 'take_screenshot', arguments: { windowTitle: 'Inbox', saveCopy: true, folder, filename: 'inbox.png' } });
+
+  const savedPath = path.join(folder, 'inbox.png');
+  assert.equal(result.content[1].type, 'image');
+  assert.match(result.content[0].text, /Screenshot saved successfully to: /);
+  assert.ok(result.content[0].text.includes(`WSL path: ${savedPath}`));
+  assert.ok(result.content[0].text.includes(`Windows path: \\\\wsl$\\Ubuntu${savedPath.replace(/\//g, '\\')}`));
+
+  // The lossless original, not the inline JPEG
+  const { format, width, height } = await sharp(await fs.readFile(savedPath)).metadata();
+  assert.deepEqual([format, width, height], ['png', 1200, 900]);
+});
+
+test('read_clipboard returns the fixture clipboard text', async () => {
+  const result = await client.callTool({ name: 'read_clipboard', arguments: { format: 'text' } });
+  assert.match(result.content.map(item => item.text).join('\n'), /hello from the clipboard/);
+});
+
+test('input tools are refused without an allow-list', async () => {
+  const error = errorOf(await client.callTool({ name: 'click', arguments: { windowTitle: 'Inbox', x: 10, y: 10 } }));
+  assert.equal(error.code, ErrorCode.INPUT_NOT_ALLOWED);
+});
+
+test('unknown tools are reported with UNKNOWN_TOOL', async () => {
+  const error = errorOf(await client.callTool({ name: 'take_selfie', arguments: {} }));
+  assert.equal(error.code, ErrorCode.UNKNOWN_TOOL);
+});
+
+test('image files given to annotate_image and diff_screenshots are redacted', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'wslsnapit-'));
+  const imagePath = path.join(directory, 'login.png');
+  await sharp({ create: { width: 100, height: 50, channels: 3, background: '#ffffff' } }).png().toFile(imagePath);
+  await fs.writeFile(path.join(directory, 'fixture.json'), JSON.stringify({
+    ocr: [{ text: 'password: hunter2', words: [{ text: 'password:', x: 5, y: 10, width: 40, height: 10 }, { text: 'hunter2', x: 50, y: 10, width: 30, height: 10 }] }]
+  }));
+  await fs.writeFile(path.join(directory, 'redaction.json'), JSON.stringify({ patterns: ['hunter\\d'] }));
+
+  const redacting = await startServer({
+    WSLSNAPIT_FAKE_FIXTURE: path.join(directory, 'fixture.json'),
+    WSLSNAPIT_REDACTION_CONFIG: path.join(directory, 'redaction.json')
+  });
+  try {
+    const annotated = await redacting.callTool({
+      name: 'annotate_image',
+      arguments: { imagePath, annotations: [{ type: 'rect', x: 0, y: 0, width: 10, height: 10 }], imageFormat: 'png' }
+    });
+    assert.match(annotated.content[0].text, /Redacted 1 area\(s\): 1 text match\(es\)/);
+    const { data, info } = await sharp(Buffer.from(annotated.content[1].data, 'base64')).raw().toBuffer({ resolveWithObject: true });
+    const offset = (15 * info.width + 60) * info.channels;
+    assert.deepEqual([...data.subarray(offset, offset + 3)], [0, 0, 0]);
+
+    const diff = await redacting.callTool({ name: 'diff_screenshots', arguments: { baseline: imagePath, current: imagePath } });
+    assert.match(diff.content[0].text, /^No changes detected .*Redacted 1 area\(s\)/);
+  } finally {
+    await redacting.close();
+  }
+});
+
+test('click refuses to walk the UI tree of a protected window', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'wslsnapit-'));
+  await fs.writeFile(path.join(directory, 'redaction.json'), JSON.stringify({ processes: ['OUTLOOK'] }));
+
+  const protecting = await startServer({
+    WSLSNAPIT_INPUT_ALLOW: 'notepad,OUTLOOK',
+    WSLSNAPIT_REDACTION_CONFIG: path.join(directory, 'redaction.json')
+  });
+  try {
+    const protectedError = errorOf(await protecting.callTool({ name: 'click', arguments: { windowTitle: 'Inbox', element: { name: 'Send' } } }));
+    assert.equal(protectedError.code, ErrorCode.WINDOW_PROTECTED);
+
+    const emptyError = errorOf(await protecting.callTool({ name: 'click', arguments: { windowTitle: 'Untitled', element: {} } }));
+    assert.equal(emptyError.code, ErrorCode.INVALID_ARGUMENT);
+  } finally {
+    await protecting.close();
+  }
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '../src/errors.js';
+import { MAX_DEPTH_LIMIT, MAX_ELEMENTS_LIMIT, buildUiTree, findElement, uiTreeAnnotations, validateWalkLimits } from '../src/uitree.js';
+
+const element = (id, parent, controlType, name, extra = {}) => ({
+  id,
+  parent,
+  depth: 0,
+  controlType,
+  name,
+  automationId: '',
+  className: '',
+  bounds: { x: 100 + id * 10, y: 50, width: 10, height: 10 },
+  enabled: true,
+  focused: false,
+  offscreen: false,
+  value: null,
+  ...extra
+});
+
+const walk = [
+  element(1, 0, 'Window', 'Settings'),
+  element(2, 1, 'Pane', 'Content'),
+  element(3, 2, 'Button', 'Save'),
+  element(4, 2, 'Edit', 'Name', { value: 'Ada' }),
+  element(5, 1, 'Button', 'Off screen', { offscreen: true })
+];
+
+test('buildUiTree keeps matches in place under their ancestors', () => {
+  const { tree, matches } = buildUiTree(walk, { controlTypes: ['button'] });
+
+  assert.deepEqual(matches.map(match => match.id), [3]);
+  assert.equal(tree.id, 1);
+  assert.deepEqual(tree.children.map(child => child.id), [2]);
+  assert.deepEqual(tree.children[0].children.map(child => child.name), ['Save']);
+  assert.equal('children' in tree.children[0].children[0], false);
+});
+
+test('buildUiTree returns the whole walk, values included, when not filtering', () => {
+  const { tree, matches } = buildUiTree(walk, { includeOffscreen: true });
+
+  assert.equal(matches.length, 5);
+  assert.deepEqual(tree.children.map(child => child.id), [2, 5]);
+  assert.equal(tree.children[0].children[1].value, 'Ada');
+  assert.equal(tree.children[1].offscreen, true);
+});
+
+test('uiTreeAnnotations numbers boxes by id relative to the capture origin', () => {
+  assert.deepEqual(uiTreeAnnotations([walk[2]], { x: 100, y: 40 }), [
+    { type: 'rect', x: 30, y: 10, width: 10, height: 10, strokeWidth: 2 },
+    { type: 'callout', x: 30, y: 10, number: 3, radius: 9 }
+  ]);
+});
+
+test('findElement matches ignoring case and skips off-screen elements', () => {
+  assert.equal(findElement(walk, { controlType: 'button', name: 'save' }).id, 3);
+  assert.equal(findElement(walk, { name: 'Off screen' }), null);
+  assert.equal(findElement(walk, { controlType: 'Button', name: 'Cancel' }), null);
+  assert.throws(() => findElement(walk, {}), { code: ErrorCode.INVALID_ARGUMENT });
+});
+
+test('validateWalkLimits only takes integers within the limits', () => {
+  assert.doesNotThrow(() => validateWalkLimits({ maxDepth: 0, maxElements: 1 }));
+  assert.doesNotThrow(() => validateWalkLimits({ maxDepth: MAX_DEPTH_LIMIT, maxElements: MAX_ELEMENTS_LIMIT }));
+
+  for (const maxDepth of [-1, MAX_DEPTH_LIMIT + 1, 2.5, NaN, Infinity, '5']) {
+    assert.throws(() => validateWalkLimits({ maxDepth, maxElements: 10 }), { code: ErrorCode.INVALID_ARGUMENT, details: { maxDepth } });
+  }
+  for (const maxElements of [0, MAX_ELEMENTS_LIMIT + 1, NaN, Infinity, null]) {
+    assert.throws(() => validateWalkLimits({ maxDepth: 1, maxElements }), { code: ErrorCode.INVALID_ARGUMENT, details: { maxElements } });
+  }
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '../src/errors.js';
+import { filterWindows, selectWindow, selectWindowGroup, validateWindowBounds } from '../src/windows.js';
+
+const windows = [
+  { handle: 101, title: 'Untitled - Notepad', processName: 'notepad' },
+  { handle: 102, title: 'notes.txt - Notepad', processName: 'notepad' },
+  { handle: 201, title: 'Inbox - Mail', processName: 'olk' }
+];
+
+test('selectWindow lists the candidates of an ambiguous match', () => {
+  assert.throws(() => selectWindow(windows, { windowTitle: 'notepad' }), error => {
+    assert.equal(error.code, ErrorCode.WINDOW_AMBIGUOUS);
+    assert.deepEqual(error.details.candidates.map(candidate => [candidate.windowIndex, candidate.handle]), [[1, 101], [2, 102]]);
+    return true;
+  });
+  assert.equal(selectWindow(windows, { windowTitle: 'notepad', windowIndex: 2, windowIndexProvided: true }).handle, 102);
+});
+
+test('selectWindow reports a missing window with the selector', () => {
+  assert.throws(() => selectWindow(windows, { processName: 'chrome.exe' }), error => {
+    assert.equal(error.code, ErrorCode.WINDOW_NOT_FOUND);
+    assert.deepEqual(error.details, { processName: 'chrome.exe' });
+    return true;
+  });
+});
+
+test('window selectors AND their fields and list matches in a stable order', () => {
+  const documents = [
+    { handle: 305, title: 'Report Q3.docx - Word', className: 'OpusApp', processName: 'WINWORD', processPath: 'C:\\Office\\WINWORD.EXE', pid: 40 },
+    { handle: 301, title: 'Draft [v2] - Word', className: 'OpusApp', processName: 'WINWORD', processPath: 'C:\\Office\\WINWORD.EXE', pid: 40 },
+    { handle: 201, title: 'Report viewer', className: 'Chrome_WidgetWin_1', processName: 'chrome', pid: 12 },
+    { handle: 101, title: 'Word', className: 'Notepad', processName: 'notepad', pid: 7 }
+  ];
+  const handles = selector => filterWindows(documents, { window: selector }).map(win => win.handle);
+
+  assert.deepEqual(handles({ title: 'word' }), [101, 301, 305]);
+  assert.deepEqual(handles({ titleRegex: '^report', processName: 'winword.exe' }), [305]);
+  assert.deepEqual(handles({ processPath: 'c:/office/winword.exe', excludeTitle: ['draft'] }), [305]);
+  assert.deepEqual(handles({ titleExact: 'Draft [v2] - Word' }), [301]);
+  assert.deepEqual(handles({ className: 'chrome_widgetwin_1' }), [201]);
+  assert.deepEqual(handles({ pid: 7 }), [101]);
+  // processName is exact in a selector, unlike the top-level substring match
+  assert.deepEqual(handles({ processName: 'word' }), []);
+});
+
+test('window selectors reject unknown fields, bad regexes and mixing with windowTitle', () => {
+  assert.throws(() => filterWindows(windows, { window: { name: 'Notepad' } }), { code: ErrorCode.INVALID_ARGUMENT });
+  assert.throws(() => filterWindows(windows, { window: { titleRegex: '(' } }), /not a valid regular expression/);
+  assert.throws(() => filterWindows(windows, { window: {} }), /at least one of/);
+  assert.throws(() => selectWindow(windows, { windowTitle: 'Notepad', window: { pid: 1 } }), { code: ErrorCode.INVALID_ARGUMENT });
+  assert.throws(() => selectWindow(windows, { window: { processName: 'olk', pid: 99 } }), {
+    code: ErrorCode.WINDOW_NOT_FOUND,
+    details: { window: { processName: 'olk', pid: 99 } }
+  });
+});
+
+test('selectWindowGroup takes every window of the matching processes, bottom first', () => {
+  const bounds = { x: 0, y: 0, width: 100, height: 100 };
+  const app = [
+    { handle: 103, title: 'Save As', processName: 'notepad', pid: 5, bounds, zOrder: 0 },
+    { handle: 104, title: '', processName: 'notepad', pid: 5, bounds, zOrder: 1 },
+    { handle: 101, title: 'Untitled - Notepad', processName: 'notepad', pid: 5, bounds, zOrder: 3 },
+    { handle: 102, title: 'notes.txt - Notepad', processName: 'notepad', pid: 6, bounds, zOrder: 2 },
+    { handle: 105, title: 'Hidden - Notepad', processName: 'notepad', pid: 5, bounds, zOrder: 4, minimized: true },
+    { handle: 201, title: 'Inbox - Mail', processName: 'olk', pid: 9, bounds, zOrder: 5 }
+  ];
+  const handles = options => selectWindowGroup(app, options).map(win => win.handle);
+
+  assert.deepEqual(handles({ windowTitle: 'Untitled' }), [101, 104, 103]);
+  assert.deepEqual(handles({ processName: 'notepad' }), [101, 102, 104, 103]);
+  assert.deepEqual(handles({ processName: 'notepad', windowIndex: 4, windowIndexProvided: true }), [102]);
+  assert.throws(() => selectWindowGroup(app, { processName: 'notepad', windowIndex: 5, windowIndexProvided: true }), { code: ErrorCode.INVALID_ARGUMENT });
+});
+
+test('validateWindowBounds accepts partial bounds but not empty or zero-sized ones', () => {
+  assert.doesNotThrow(() => validateWindowBounds({ width: 1280 }));
+  assert.doesNotThrow(() => validateWindowBounds({ x: -1920, y: 0 }));
+
+  assert.throws(() => validateWindowBounds({}), { code: ErrorCode.INVALID_ARGUMENT });
+  assert.throws(() => validateWindowBounds({ width: 0 }, 'resizeTo'), /resizeTo width and height must be greater than 0/);
+  assert.throws(() => validateWindowBounds({ x: 1.5 }), /bounds\.x must be an integer/);
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { PassThrough } from 'node:stream';
+import { ErrorCode } from '../src/errors.js';
+import { PowerShellBackend } from '../src/backends/powershell.js';
+import { MAX_ENCODED_COMMAND_LENGTH, PowerShellWorker } from '../src/backends/worker.js';
+
+// Stands in for child_process.spawn, recording every process it "starts"
+function fakeSpawn() {
+  const children = [];
+  const spawnProcess = (command, args) => {
+    const child = new EventEmitter();
+    child.command = command;
+    child.args = args;
+    child.stdin = new PassThrough();
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    child.written = [];
+    child.stdin.on('data', chunk => child.written.push(chunk));
+    child.kill = () => child.emit('exit', null);
+    children.push(child);
+    return child;
+  };
+  return { spawnProcess, children };
+}
+
+test('the worker command line stays under the Windows limit', () => {
+  const { spawnProcess, children } = fakeSpawn();
+  const backend = new PowerShellBackend();
+  backend.runner.spawnProcess = spawnProcess;
+  backend.runner.start();
+
+  const [child] = children;
+  const commandLine = [child.command, ...child.args].join(' ');
+  assert.ok(child.args.at(-1).length <= MAX_ENCODED_COMMAND_LENGTH);
+  assert.ok(commandLine.length < 32767, `command line is ${commandLine.length} characters`);
+});
+
+test('the worker preload is sent as the first request', async () => {
+  const { spawnProcess, children } = fakeSpawn();
+  const backend = new PowerShellBackend();
+  backend.runner.spawnProcess = spawnProcess;
+  backend.runner.start();
+  await new Promise(resolve => setImmediate(resolve));
+
+  const request = Buffer.concat(children[0].written);
+  const length = request.readInt32LE(4);
+  assert.equal(request.length, 8 + length);
+  assert.match(request.toString('utf8', 8), /class InputSender/);
+});
+
+function responseFrame(id, text, image = Buffer.alloc(0)) {
+  const header = Buffer.alloc(16);
+  header.write('WSNP', 0, 'ascii');
+  header.writeUInt32LE(id, 4);
+  const textBytes = Buffer.from(text, 'utf8');
+  header.writeInt32LE(textBytes.length, 8);
+  header.writeInt32LE(image.length, 12);
+  return Buffer.concat([header, textBytes, image]);
+}
+
+// Starts a request and waits until the worker has written it
+async function startRequest(worker, children, script) {
+  const result = worker.run(script);
+  await new Promise(resolve => setImmediate(resolve));
+  const child = children.at(-1);
+  const request = child.written.at(-1);
+  return { result, child, id: request.readUInt32LE(0) };
+}
+
+test('the worker reassembles frames split across chunks', async () => {
+  const { spawnProcess, children } = fakeSpawn();
+  const worker = new PowerShellWorker({ timeoutMs: 1000, spawnProcess });
+  const { result, child, id } = await startRequest(worker, children, 'Get-Date');
+
+  const frame = responseFrame(id, 'done', Buffer.from([1, 2, 3]));
+  // Cut inside the marker, the header and the text
+  const cuts = [0, 2, 9, 17, frame.length];
+  for (let i = 1; i < cuts.length; i++) {
+    child.stdout.write(frame.subarray(cuts[i - 1], cuts[i]));
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.deepEqual(await result, { stdout: 'done', stderr: '', image: Buffer.from([1, 2, 3]) });
+});
+
+test('the worker skips stray output and frames for other requests', async () => {
+  const { spawnProcess, children } = fakeSpawn();
+  const worker = new PowerShellWorker({ timeoutMs: 1000, spawnProcess });
+  const { result, child, id } = await startRequest(worker, children, 'Get-Date');
+
+  child.stdout.write(Buffer.concat([
+    Buffer.from('WARNING: something on the console WS'),
+    responseFrame(id + 100, 'not mine'),
+    Buffer.from('NP'),
+    responseFrame(id, 'mine')
+  ]));
+  assert.deepEqual(await result, { stdout: 'mine', stderr: '', image: null });
+});
+
+test('a timed-out request kills the worker and the next one starts a new one', async () => {
+  const { spawnProcess, children } = fakeSpawn();
+  const worker = new PowerShellWorker({ timeoutMs: 20, spawnProcess });
+  const first = await startRequest(worker, children, 'Start-Sleep 60');
+  let killed = false;
+  first.child.on('exit', () => { killed = true; });
+
+  await assert.rejects(first.result, { code: ErrorCode.BACKEND_TIMEOUT });
+  assert.ok(killed);
+
+  const second = await startRequest(worker, children, 'Get-Date');
+  assert.equal(children.length, 2);
+  assert.notEqual(second.child, first.child);
+  second.child.stdout.write(responseFrame(second.id, 'again'));
+  assert.equal((await second.result).stdout, 'again');
+});
+
+test('a worker that exits fails the pending request with its stderr', async () => {
+  const { spawnProcess, children } = fakeSpawn();
+  const worker = new PowerShellWorker({ timeoutMs: 1000, spawnProcess });
+  const { result, child } = await startRequest(worker, children, 'Get-Date');
+
+  child.stderr.write('Add-Type failed');
+  await new Promise(resolve => setImmediate(resolve));
+  child.emit('exit', 1);
+  await assert.rejects(result, error => {
+    assert.equal(error.code, ErrorCode.BACKEND_FAILED);
+    assert.match(error.message, /exited with code 1: Add-Type failed/);
+    return true;
+  });
+});
+
+test('closing the worker ends its stdin and fails the pending request', async () => {
+  const { spawnProcess, children } = fakeSpawn();
+  const worker = new PowerShellWorker({ timeoutMs: 60000, spawnProcess });
+  const { result, child } = await startRequest(worker, children, 'Get-Date');
+
+  worker.close();
+  await assert.rejects(result, { code: ErrorCode.BACKEND_FAILED });
+  assert.ok(child.stdin.writableEnded);
+});